@@ -1,9 +1,25 @@
 require("dotenv").config();
+const path = require("path");
 
 module.exports = {
   port: process.env.PORT || 3333,
   sessionSecret:
     process.env.SESSION_SECRET || "your-secret-key-change-in-production",
+  session: {
+    // "file" (persistent, default) or "memory" (lost on restart).
+    store: process.env.SESSION_STORE || "file",
+    // Directory for the file store; share it between instances.
+    dir: process.env.SESSION_DIR || path.join(__dirname, ".sessions"),
+    // 32-byte key (base64 or hex) encrypting the OIDC tokens stored in
+    // sessions. Derived from SESSION_SECRET when unset.
+    encryptionKey: process.env.SESSION_ENCRYPTION_KEY || null,
+    // Session (and cookie) lifetime.
+    ttlMs: Number(process.env.SESSION_TTL_MS || 24 * 60 * 60 * 1000),
+    // How often expired sessions are removed from the file store.
+    cleanupIntervalMs: Number(
+      process.env.SESSION_CLEANUP_INTERVAL_MS || 15 * 60 * 1000,
+    ),
+  },
   keycloak: {
     issuer:
       process.env.KEYCLOAK_ISSUER || "http://localhost:7777/realms/chefs-embed",
@@ -12,6 +28,10 @@ module.exports = {
     callbackURL:
       process.env.KEYCLOAK_CALLBACK_URL ||
       "http://localhost:3333/auth/callback",
+    // Where Keycloak sends the browser after /auth/logout; must match the
+    // client's "Valid post logout redirect URIs".
+    postLogoutRedirectUri:
+      process.env.KEYCLOAK_POST_LOGOUT_REDIRECT_URI || "http://localhost:3333/",
     authorizationURL:
       process.env.KEYCLOAK_AUTHORIZATION_URL ||
       "http://localhost:7777/realms/chefs-embed/protocol/openid-connect/auth",
@@ -21,13 +41,113 @@ module.exports = {
     userInfoURL:
       process.env.KEYCLOAK_USERINFO_URL ||
       "http://localhost:7777/realms/chefs-embed/protocol/openid-connect/userinfo",
+    // Accepted token audiences (comma-separated); a token passes when its
+    // `aud` or, for Keycloak access tokens, its `azp` is one of them.
+    audiences: (
+      process.env.KEYCLOAK_AUDIENCE ||
+      process.env.KEYCLOAK_CLIENT_ID ||
+      "express-app"
+    )
+      .split(",")
+      .map((audience) => audience.trim())
+      .filter(Boolean),
+    // Leeway in seconds for exp / nbf checks (clock skew with Keycloak).
+    clockToleranceSec: Number(process.env.KEYCLOAK_CLOCK_TOLERANCE || 30),
+    // Protected pages refresh the access token server-side when it expires
+    // within this many seconds, so embeds never start with a stale token.
+    refreshBufferSec: Number(process.env.KEYCLOAK_REFRESH_BUFFER || 60),
+    // A session refreshed less than this many milliseconds ago hands the same
+    // tokens to other tabs and embeds instead of refreshing again.
+    refreshReuseWindowMs: Number(
+      process.env.KEYCLOAK_REFRESH_REUSE_MS || 10000,
+    ),
+    jwks: {
+      url:
+        process.env.KEYCLOAK_JWKS_URL ||
+        "http://localhost:7777/realms/chefs-embed/protocol/openid-connect/certs",
+      // How long fetched signing keys are used before the JWKS is refetched.
+      cacheTtlMs: Number(
+        process.env.KEYCLOAK_JWKS_CACHE_TTL_MS || 10 * 60 * 1000,
+      ),
+      // Minimum gap between refetches triggered by an unknown key id or a failure.
+      minRefreshIntervalMs: Number(
+        process.env.KEYCLOAK_JWKS_MIN_REFRESH_MS || 10000,
+      ),
+      // Per-request timeout in milliseconds.
+      timeoutMs: Number(process.env.KEYCLOAK_JWKS_TIMEOUT_MS || 5000),
+    },
+  },
+  plugins: {
+    // When true, the server refuses to start if any plugin manifest is invalid.
+    strict: process.env.PLUGINS_STRICT === "true",
+    // Hot-reload plugin modules when files in public/plugins change.
+    // Defaults to on outside production.
+    watch: process.env.PLUGINS_WATCH
+      ? process.env.PLUGINS_WATCH === "true"
+      : process.env.NODE_ENV !== "production",
+    // Local JSON file of plugin secrets ({ NAME: value }), referenced by apiKeyRef.
+    // Environment variables with the same name take precedence.
+    secretsFile:
+      process.env.PLUGIN_SECRETS_FILE ||
+      path.join(__dirname, "plugin-secrets.json"),
   },
   chefs: {
-    // Default CHEFS embed values for the platform example.
-    // Individual plugins can and do supply their own baseUrl/formId/apiKey
-    // when launched via /chefs-embed-plugin, so these serve only as defaults.
+    // CHEFS instance for every plugin that does not declare its own baseUrl
+    // (the bundled plugins don't), e.g. the local mock:
+    // http://localhost:4444/app.
     baseUrl:
       process.env.CHEFS_BASE_URL ||
-      "https://chefs-dev.apps.silver.devops.gov.bc.ca/pr-1802",
+      "https://chefs-dev.apps.silver.devops.gov.bc.ca/app",
+    // CHEFS environment plugins run against when their manifest declares
+    // `environments` (e.g. dev, test, prod).
+    environment: process.env.CHEFS_ENV || "dev",
+    // Realm role allowed to pick another environment per request (?env=<name>).
+    environmentOverrideRole: process.env.CHEFS_ENV_OVERRIDE_ROLE || "admin",
+    // How CHEFS records who created a submission (its `createdBy`): the first
+    // of these token claims that is set, plus "@<idp>" from the identity
+    // provider claim (mapped through idpMap) unless the username already
+    // contains "@". IDIR logins are recorded as e.g. "jdoe@idir".
+    submitter: {
+      usernameClaims: (
+        process.env.CHEFS_SUBMITTER_CLAIMS ||
+        "idir_username,bceid_username,preferred_username"
+      )
+        .split(",")
+        .map((claim) => claim.trim())
+        .filter(Boolean),
+      // Empty to compare on the username alone
+      idpClaim: process.env.CHEFS_SUBMITTER_IDP_CLAIM ?? "identity_provider",
+      // Keycloak identity provider alias -> CHEFS idp code ("alias=code,...")
+      idpMap: Object.fromEntries(
+        (
+          process.env.CHEFS_SUBMITTER_IDP_MAP ||
+          "bceidbasic=bceid-basic,bceidbusiness=bceid-business"
+        )
+          .split(",")
+          .map((pair) => pair.split("=").map((part) => part.trim()))
+          .filter(([alias, code]) => alias && code),
+      ),
+    },
+    // When set, every plugin uses this CHEFS instance instead of its own
+    // baseUrl (e.g. the local mock: http://localhost:4444/app).
+    baseUrlOverride: process.env.CHEFS_BASE_URL_OVERRIDE || null,
+    gateway: {
+      // Per-attempt request timeout in milliseconds.
+      timeoutMs: Number(process.env.CHEFS_TIMEOUT_MS || 5000),
+      // Extra attempts for transient failures (timeouts, network errors, 408/429/5xx).
+      retries: Number(process.env.CHEFS_RETRIES || 2),
+      // First retry delay in milliseconds; doubles on each further attempt.
+      retryDelayMs: Number(process.env.CHEFS_RETRY_DELAY_MS || 250),
+      // Consecutive failed requests to one baseUrl that open its circuit breaker.
+      breakerThreshold: Number(process.env.CHEFS_BREAKER_THRESHOLD || 5),
+      // How long an open circuit rejects requests before letting a trial through.
+      breakerCooldownMs: Number(process.env.CHEFS_BREAKER_COOLDOWN_MS || 30000),
+    },
+    tokenCache: {
+      // Gateway tokens are refreshed this many seconds before they expire.
+      refreshBuffer: Number(process.env.CHEFS_TOKEN_REFRESH_BUFFER || 60),
+      // Lifetime assumed for tokens whose expiry cannot be read, in seconds.
+      defaultTtl: Number(process.env.CHEFS_TOKEN_DEFAULT_TTL || 300),
+    },
   },
 };
@@ -4,26 +4,67 @@ const session = require("express-session");
 const passport = require("passport");
 const OpenIDConnectStrategy = require("passport-openidconnect").Strategy;
 const config = require("./config");
-const { decodeJWT } = require("./utils/jwt");
-const { fetchChefsToken } = require("./utils/chefs");
+const { verifyUserTokens } = require("./utils/jwt-verify");
+const { createSessionStore } = require("./utils/session-store");
+const { requireAuth } = require("./utils/require-auth");
+const { EMBED_ATTRIBUTES } = require("./utils/plugin-manifest");
+const { ChefsGatewayError } = require("./utils/chefs-errors");
+const {
+  listSubmissions,
+  getSubmission,
+  getSubmitterId,
+  isSubmittedBy,
+} = require("./utils/chefs-api");
+const {
+  listFormSchemas,
+  readFormSchema,
+  getComponentTree,
+  getPluginsUsing,
+  getSampleContext,
+} = require("./utils/form-schemas");
+const { evaluatePluginAccess, canAccessPlugin } = require("./utils/plugin-access");
+const {
+  buildRequestContext,
+  preparePluginEmbed,
+} = require("./utils/plugin-embed");
+const {
+  selectEnvironment,
+  canOverrideEnvironment,
+  getPluginEnvironments,
+  getPluginTarget,
+} = require("./utils/plugin-environment");
 const {
   loadPluginRegistry,
+  watchPluginRegistry,
   getAllPlugins,
   getPlugin,
+  getPluginVersions,
+  getLaunchUrl,
 } = require("./utils/plugin-registry");
 const authRefreshRoutes = require("./routes/auth-refresh");
+const oidcLogoutRoutes = require("./routes/oidc-logout");
+const chefsTokenRefreshRoutes = require("./routes/chefs-token-refresh");
+const pluginModuleRoutes = require("./routes/plugin-modules");
+const pluginEventRoutes = require("./routes/plugin-events");
+const pluginApiRoutes = require("./routes/plugin-api");
+const pluginAssetRoutes = require("./routes/plugin-assets");
+const metricsRoutes = require("./routes/metrics");
 
 const app = express();
 
-// Configure session
+// Configure session (file store by default; see utils/session-store.js)
 app.use(
   session({
     secret: config.sessionSecret,
+    store: createSessionStore({
+      ...config.session,
+      secret: config.sessionSecret,
+    }),
     resave: false,
     saveUninitialized: false,
     cookie: {
       secure: false, // Set to true if using HTTPS
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
+      maxAge: config.session.ttlMs,
     },
   }),
 );
@@ -84,39 +125,52 @@ passport.deserializeUser((user, done) => {
   done(null, user);
 });
 
-// Middleware to check if user is authenticated
-const requireAuth = (req, res, next) => {
-  if (req.isAuthenticated()) {
-    return next();
-  }
-  res.redirect("/auth/login");
-};
-
 // Set view engine
 app.set("view engine", "ejs");
 app.set("views", "./views");
 
+// Attribute map used by the embed view to apply plugin config to the viewer
+app.locals.embedAttributes = EMBED_ATTRIBUTES;
+app.locals.pluginHotReload = config.plugins.watch;
+
 // Middleware for parsing request bodies
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
+// Plugin modules are served with secrets stripped (must precede express.static)
+app.use("/plugins", pluginModuleRoutes);
+
+// Assets bundled with folder-based plugin packages
+app.use("/plugin-assets", pluginAssetRoutes);
+
 // Static files (absolute path so it works regardless of cwd)
 app.use(express.static(path.join(__dirname, "public")));
 
-// Helper function to decode tokens for display
-function decodeUserTokens(user) {
-  if (!user) return null;
+// Locally hosted Form.io renderer for the offline schema preview
+app.use(
+  "/vendor/formio",
+  express.static(
+    path.join(path.dirname(require.resolve("formiojs/package.json")), "dist"),
+  ),
+);
 
-  return {
-    accessToken: user.accessToken ? decodeJWT(user.accessToken) : null,
-    idToken: user.idToken ? decodeJWT(user.idToken) : null,
-    refreshToken: user.refreshToken ? decodeJWT(user.refreshToken) : null,
-  };
-}
+// Verify the session's Keycloak tokens once per request. Routes read claims
+// from req.verifiedTokens (decodeUserTokens shape; tokens that fail
+// verification are null, with the reason in req.tokenErrors).
+app.use(async (req, res, next) => {
+  req.verifiedTokens = null;
+  req.tokenErrors = {};
+  if (req.isAuthenticated()) {
+    const { tokens, errors } = await verifyUserTokens(req.user);
+    req.verifiedTokens = tokens;
+    req.tokenErrors = errors;
+  }
+  next();
+});
 
 // Routes
 app.get("/", (req, res) => {
-  const decodedTokens = req.user ? decodeUserTokens(req.user) : null;
+  const decodedTokens = req.verifiedTokens;
   res.render("public", {
     title: "Public Page",
     user: req.user,
@@ -126,7 +180,7 @@ app.get("/", (req, res) => {
 });
 
 app.get("/protected", requireAuth, (req, res) => {
-  const decodedTokens = decodeUserTokens(req.user);
+  const decodedTokens = req.verifiedTokens;
   res.render("protected", {
     title: "Protected Page",
     user: req.user,
@@ -134,80 +188,462 @@ app.get("/protected", requireAuth, (req, res) => {
   });
 });
 
+// Carry an administrator's environment override into launch links
+function withEnvironment(url, { environment, overridden }) {
+  return overridden ? `${url}&env=${encodeURIComponent(environment)}` : url;
+}
+
+// 403 page for a non-administrator asking for a specific CHEFS environment
+function renderEnvironmentForbidden(req, res) {
+  return res.status(403).render("forbidden", {
+    title: "Access Denied",
+    user: req.user,
+    message: "Only administrators can choose the CHEFS environment.",
+  });
+}
+
+// "My submissions" page for the plugin version and environment of a launch URL
+function getSubmissionsUrl(launchUrl) {
+  return `/chefs-embed-plugin/submissions?${launchUrl.split("?")[1]}`;
+}
+
 // Plugin directory listing
 app.get("/chefs-embed-plugins", requireAuth, (req, res) => {
+  const decodedTokens = req.verifiedTokens;
+  const selection = selectEnvironment(req.query.env, decodedTokens);
+  if (!selection.allowed) {
+    return renderEnvironmentForbidden(req, res);
+  }
+
+  // Only list plugins this user is allowed to launch
+  const plugins = getAllPlugins().filter((plugin) =>
+    canAccessPlugin(plugin, decodedTokens),
+  );
+  const describe = (plugin) => ({
+    ...plugin,
+    // null when the plugin has no CHEFS target in the selected environment
+    target: getPluginTarget(plugin, selection.environment),
+    launchUrl: withEnvironment(getLaunchUrl(plugin), selection),
+    submissionsUrl: getSubmissionsUrl(
+      withEnvironment(getLaunchUrl(plugin), selection),
+    ),
+  });
+
   res.render("chefs-embed-plugins", {
     title: "CHEFS Plugin Directory",
     user: req.user,
-    plugins: getAllPlugins(),
+    environment: selection.environment,
+    // Environments an administrator can switch the directory to
+    environments: canOverrideEnvironment(decodedTokens)
+      ? Array.from(
+          new Set([
+            config.chefs.environment,
+            ...plugins.flatMap(getPluginEnvironments),
+          ]),
+        )
+      : null,
+    plugins: plugins.map((plugin) => ({
+      ...describe(plugin),
+      // Other versions of the same plugin that can be launched side by side
+      otherVersions: getPluginVersions(plugin.slug)
+        .filter(
+          (other) =>
+            other.version !== plugin.version &&
+            canAccessPlugin(other, decodedTokens),
+        )
+        .map(describe),
+    })),
   });
 });
 
+// JSON plugin catalogue
+app.use("/api/plugins", pluginApiRoutes);
+
+// Hot-reload notifications for open embed pages
+app.use("/chefs-embed-plugin", pluginEventRoutes);
+
 // Plugin-driven CHEFS embed
 app.get("/chefs-embed-plugin", requireAuth, async (req, res) => {
   try {
-    const plugins = getAllPlugins();
+    const decodedTokens = req.verifiedTokens;
+    const plugins = getAllPlugins().filter((p) =>
+      canAccessPlugin(p, decodedTokens),
+    );
     const pluginSlug = req.query.plugin || (plugins[0]?.slug ?? null);
-    const plugin = getPlugin(pluginSlug);
+    const pluginVersion = req.query.version || undefined;
+    const plugin = getPlugin(pluginSlug, pluginVersion);
     if (!plugin) {
       return res.status(404).render("chefs-embed-plugin", {
         title: "CHEFS Plugin Embed",
         user: req.user,
-        error: pluginSlug
-          ? `Plugin "${pluginSlug}" not found.`
-          : "No plugins are available.",
+        error: !pluginSlug
+          ? "No plugins are available."
+          : pluginVersion
+            ? `Plugin "${pluginSlug}" version ${pluginVersion} not found.`
+            : `Plugin "${pluginSlug}" not found.`,
         formId: null,
         authToken: null,
         baseUrl: null,
         requestContext: null,
+        serverResult: null,
         plugin: null,
       });
     }
 
-    const decodedTokens = decodeUserTokens(req.user);
+    const access = evaluatePluginAccess(plugin, decodedTokens);
+    if (!access.allowed) {
+      console.warn(
+        `[access] ${req.user.username} denied plugin "${plugin.slug}": ${access.reason}`,
+      );
+      return res.status(403).render("forbidden", {
+        title: "Access Denied",
+        user: req.user,
+        message: `You do not have access to "${plugin.name}".`,
+      });
+    }
 
-    // Keep auth acquisition server-side (form-id + api-key)
-    const authToken = await fetchChefsToken(
-      plugin.formId || config.chefs.formId,
-      plugin.apiKey || config.chefs.apiKey,
-      plugin.baseUrl || config.chefs.baseUrl,
-    );
+    const selection = selectEnvironment(req.query.env, decodedTokens);
+    if (!selection.allowed) {
+      return renderEnvironmentForbidden(req, res);
+    }
+    const target = getPluginTarget(plugin, selection.environment);
+    if (!target) {
+      return res.status(404).render("chefs-embed-plugin", {
+        title: "CHEFS Plugin Embed",
+        user: req.user,
+        error: `Plugin "${plugin.slug}" is not available in the ${selection.environment} environment.`,
+        formId: null,
+        authToken: null,
+        baseUrl: null,
+        requestContext: null,
+        serverResult: null,
+        plugin: null,
+      });
+    }
+
+    // Reopen one of the user's own submissions (read-only) or drafts (editable)
+    let submission = null;
+    if (req.query.submission) {
+      submission = await getSubmission(target, req.query.submission);
+      if (!isSubmittedBy(submission, getSubmitterId(decodedTokens))) {
+        console.warn(
+          `[access] ${req.user.username} denied submission ${submission.id} of "${plugin.slug}"`,
+        );
+        return res.status(404).render("chefs-embed-plugin", {
+          title: "CHEFS Plugin Embed",
+          user: req.user,
+          error: "The requested submission could not be found.",
+          formId: null,
+          authToken: null,
+          baseUrl: null,
+          requestContext: null,
+          serverResult: null,
+          plugin: null,
+        });
+      }
+    }
+
+    const { formId, baseUrl, authToken, authTokenExpiresAt, serverResult } =
+      await preparePluginEmbed(plugin, { req, decodedTokens, target });
 
     // Raw context passed to the plugin so it can shape token/headers
-    const requestContext = {
-      headers: req.headers,
-      bearerToken: req.user?.accessToken || null,
-      tokenExpiresAt: decodedTokens?.accessToken?.payload?.exp || null,
-      decoded: decodedTokens,
-    };
+    const requestContext = buildRequestContext(req, decodedTokens);
 
     res.render("chefs-embed-plugin", {
       title: "CHEFS Plugin Embed",
       user: req.user,
-      formId: plugin.formId || config.chefs.formId,
+      formId,
       authToken,
-      baseUrl: plugin.baseUrl || config.chefs.baseUrl,
+      authTokenExpiresAt,
+      baseUrl,
+      // Which CHEFS this embed talks to (shown on the page)
+      chefsTarget: {
+        environment: target.environment,
+        overridden: selection.overridden,
+        formVersion: target.formVersion,
+      },
+      submission: submission && {
+        id: submission.id,
+        confirmationId: submission.confirmationId,
+        draft: submission.draft,
+        readOnly: !submission.draft,
+      },
+      submissionsUrl: getSubmissionsUrl(
+        withEnvironment(getLaunchUrl(plugin), selection),
+      ),
       requestContext,
+      serverResult,
       plugin,
       error: null,
     });
   } catch (error) {
     console.error("Error loading CHEFS plugin embed:", error);
-    res.status(500).render("chefs-embed-plugin", {
+    // Gateway errors carry their own status and user-facing message
+    const gatewayError = error instanceof ChefsGatewayError ? error : null;
+    if (gatewayError?.retryAfter) {
+      res.set("Retry-After", String(gatewayError.retryAfter));
+    }
+    res.status(gatewayError?.statusCode || 500).render("chefs-embed-plugin", {
       title: "CHEFS Plugin Embed",
       user: req.user,
-      error: "Failed to load CHEFS plugin embed. Please try again later.",
+      error:
+        gatewayError?.userMessage ||
+        "Failed to load CHEFS plugin embed. Please try again later.",
       formId: null,
       baseUrl: null,
       authToken: null,
       requestContext: null,
+      serverResult: null,
       plugin: null,
     });
   }
 });
 
+// The current user's submissions and drafts for one plugin
+app.get("/chefs-embed-plugin/submissions", requireAuth, async (req, res) => {
+  const decodedTokens = req.verifiedTokens;
+  const renderError = (status, error) =>
+    res.status(status).render("chefs-embed-submissions", {
+      title: "My Submissions",
+      user: req.user,
+      error,
+      plugin: null,
+      submissions: [],
+    });
+
+  const plugin = getPlugin(req.query.plugin, req.query.version || undefined);
+  if (!plugin) {
+    return renderError(404, `Plugin "${req.query.plugin || ""}" not found.`);
+  }
+
+  const access = evaluatePluginAccess(plugin, decodedTokens);
+  if (!access.allowed) {
+    console.warn(
+      `[access] ${req.user.username} denied plugin "${plugin.slug}": ${access.reason}`,
+    );
+    return res.status(403).render("forbidden", {
+      title: "Access Denied",
+      user: req.user,
+      message: `You do not have access to "${plugin.name}".`,
+    });
+  }
+
+  const selection = selectEnvironment(req.query.env, decodedTokens);
+  if (!selection.allowed) {
+    return renderEnvironmentForbidden(req, res);
+  }
+  const target = getPluginTarget(plugin, selection.environment);
+  if (!target) {
+    return renderError(
+      404,
+      `Plugin "${plugin.slug}" is not available in the ${selection.environment} environment.`,
+    );
+  }
+
+  try {
+    const launchUrl = withEnvironment(getLaunchUrl(plugin), selection);
+    const submitterId = getSubmitterId(decodedTokens);
+    // Without an identity to match, list nothing rather than everyone's
+    const submissions = submitterId
+      ? await listSubmissions(target, { createdBy: submitterId })
+      : [];
+
+    res.render("chefs-embed-submissions", {
+      title: "My Submissions",
+      user: req.user,
+      error: null,
+      plugin,
+      environment: target.environment,
+      launchUrl,
+      submissions: submissions.map((submission) => ({
+        ...submission,
+        openUrl: `${launchUrl}&submission=${encodeURIComponent(submission.id)}`,
+      })),
+    });
+  } catch (error) {
+    console.error(`Error listing CHEFS submissions for "${plugin.slug}":`, error);
+    const gatewayError = error instanceof ChefsGatewayError ? error : null;
+    if (gatewayError?.retryAfter) {
+      res.set("Retry-After", String(gatewayError.retryAfter));
+    }
+    renderError(
+      gatewayError?.statusCode || 500,
+      gatewayError?.userMessage ||
+        "Failed to load your submissions. Please try again later.",
+    );
+  }
+});
+
+// Several plugin embeds side by side on one page
+const MAX_COMPOSITE_PLUGINS = 5;
+
+app.get("/chefs-embed-composite", requireAuth, async (req, res) => {
+  const decodedTokens = req.verifiedTokens;
+  // ?plugins=slug-a,slug-b@2.0.0 (may also be repeated)
+  const refs = []
+    .concat(req.query.plugins || [])
+    .flatMap((value) => String(value).split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+  const selection = selectEnvironment(req.query.env, decodedTokens);
+  if (!selection.allowed) {
+    return renderEnvironmentForbidden(req, res);
+  }
+
+  if (refs.length === 0 || refs.length > MAX_COMPOSITE_PLUGINS) {
+    return res.status(400).render("chefs-embed-composite", {
+      title: "CHEFS Composite Embed",
+      user: req.user,
+      error: `Select between 1 and ${MAX_COMPOSITE_PLUGINS} plugins with ?plugins=<slug>,<slug>.`,
+      embeds: [],
+      requestContext: null,
+    });
+  }
+
+  // Each embed is resolved independently; a failure only affects its own panel
+  const resolved = refs.map((ref, index) => {
+    const [slug, version] = ref.split("@", 2);
+    const id = `embed-${index + 1}`;
+    const plugin = getPlugin(slug, version);
+    if (!plugin) {
+      return { id, ref, plugin: null, error: `Plugin "${ref}" not found.` };
+    }
+
+    const access = evaluatePluginAccess(plugin, decodedTokens);
+    if (!access.allowed) {
+      console.warn(
+        `[access] ${req.user.username} denied plugin "${plugin.slug}": ${access.reason}`,
+      );
+      return {
+        id,
+        ref,
+        plugin,
+        error: `You do not have access to "${plugin.name}".`,
+      };
+    }
+
+    const target = getPluginTarget(plugin, selection.environment);
+    if (!target) {
+      return {
+        id,
+        ref,
+        plugin,
+        error: `"${plugin.name}" is not available in the ${selection.environment} environment.`,
+      };
+    }
+    return { id, ref, plugin, target, error: null };
+  });
+
+  // The page can only load one chefs-form-viewer script (it defines the
+  // custom element), so every embed must target the first one's CHEFS instance
+  const viewerBaseUrl = resolved.find((embed) => !embed.error)?.target.baseUrl;
+  resolved
+    .filter((embed) => !embed.error && embed.target.baseUrl !== viewerBaseUrl)
+    .forEach((embed) => {
+      embed.error =
+        `"${embed.plugin.name}" targets ${embed.target.baseUrl}, but this page loads the form viewer from ${viewerBaseUrl}. ` +
+        "Open it on its own page or combine plugins that target the same CHEFS instance.";
+    });
+
+  const embeds = await Promise.all(
+    resolved.map(async ({ id, ref, plugin, target, error }) => {
+      if (error) return { id, ref, plugin, error };
+
+      try {
+        const prepared = await preparePluginEmbed(plugin, {
+          req,
+          decodedTokens,
+          target,
+        });
+        return {
+          id,
+          ref,
+          plugin,
+          error: null,
+          ...prepared,
+          chefsTarget: {
+            environment: target.environment,
+            overridden: selection.overridden,
+            formVersion: target.formVersion,
+          },
+        };
+      } catch (err) {
+        console.error(`Error preparing CHEFS plugin embed "${ref}":`, err);
+        return {
+          id,
+          ref,
+          plugin,
+          error:
+            err instanceof ChefsGatewayError
+              ? err.userMessage
+              : "Failed to load this form. Please try again later.",
+        };
+      }
+    }),
+  );
+
+  res.render("chefs-embed-composite", {
+    title: "CHEFS Composite Embed",
+    user: req.user,
+    error: null,
+    embeds,
+    // Raw context passed to every plugin so it can shape token/headers
+    requestContext: buildRequestContext(req, decodedTokens),
+  });
+});
+
+// Offline gallery of the schemas stored in form_schemas/
+app.get("/form-schemas", requireAuth, (req, res) => {
+  res.render("form-schemas", {
+    title: "Form Schema Gallery",
+    user: req.user,
+    schemas: listFormSchemas(),
+  });
+});
+
+// One stored schema: component tree and a local preview
+app.get("/form-schemas/:file", requireAuth, async (req, res) => {
+  const { file } = req.params;
+  const renderError = (status, error) =>
+    res.status(status).render("form-schema", {
+      title: "Form Schema",
+      user: req.user,
+      file,
+      error,
+    });
+
+  let schema;
+  try {
+    schema = readFormSchema(file);
+  } catch (error) {
+    console.error(`[form-schemas] Could not parse ${file}:`, error.message);
+    return renderError(500, `"${file}" is not valid JSON: ${error.message}`);
+  }
+  if (!schema) {
+    return renderError(404, `Form schema "${file}" not found.`);
+  }
+
+  const sample = await getSampleContext(file);
+  res.render("form-schema", {
+    title: `Form Schema: ${file}`,
+    user: req.user,
+    file,
+    error: null,
+    schema,
+    tree: getComponentTree(schema),
+    usedBy: getPluginsUsing(file),
+    sample,
+  });
+});
+
+// In-process counters (gateway token cache)
+app.use("/metrics", metricsRoutes);
+
 // Auth routes
 app.use("/auth", authRefreshRoutes);
+app.use("/auth", chefsTokenRefreshRoutes);
+app.use("/auth", oidcLogoutRoutes);
 app.get("/auth/login", passport.authenticate("keycloak"));
 
 app.get(
@@ -221,7 +657,7 @@ app.get(
 app.get("/auth/logout", (req, res) => {
   // Store the ID token before destroying session
   const idToken = req.user?.idToken;
-  const postLogoutRedirectUri = "http://localhost:3333/";
+  const postLogoutRedirectUri = config.keycloak.postLogoutRedirectUri;
 
   // Destroy local session first
   req.logout((err) => {
@@ -249,7 +685,15 @@ app.get("/auth/logout", (req, res) => {
 // Start server
 (async () => {
   // Load plugin registry before starting server
-  await loadPluginRegistry();
+  try {
+    await loadPluginRegistry();
+  } catch (err) {
+    console.error(`[startup] ${err.message}. Refusing to start (PLUGINS_STRICT).`);
+    process.exit(1);
+  }
+  if (config.plugins.watch) {
+    watchPluginRegistry();
+  }
 
   app.listen(config.port, () => {
     console.log(`Server running on http://localhost:${config.port}`);
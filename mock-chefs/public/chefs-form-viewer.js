@@ -0,0 +1,306 @@
+/**
+ * Stub chefs-form-viewer (mock CHEFS)
+ *
+ * A small stand-in for the CHEFS embed web component, served by the mock
+ * CHEFS service. It renders the input components of a form schema as plain
+ * fields, saves drafts and submissions to the mock gateway and emits the
+ * same formio:* events the real viewer does, so plugins and their handlers
+ * can be exercised offline. It does not run Form.io logic, conditionals or
+ * calculated values.
+ */
+(() => {
+  if (customElements.get("chefs-form-viewer")) return;
+
+  const NON_FIELD_TYPES = new Set(["button", "hidden", "htmlelement", "content", "simplecontent"]);
+
+  function parseJson(value) {
+    try {
+      return value ? JSON.parse(value) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function readExpiry(token) {
+    try {
+      const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+      return JSON.parse(atob(payload)).exp || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Flatten nested layout components into the list of input fields. */
+  function collectFields(components, fields = []) {
+    (components || []).forEach((component) => {
+      if (component.input && !NON_FIELD_TYPES.has(component.type)) {
+        fields.push(component);
+      }
+      collectFields(component.components, fields);
+      (component.columns || []).forEach((column) => collectFields(column.components, fields));
+      // Table rows (textarea components use `rows` for their height)
+      if (Array.isArray(component.rows)) {
+        component.rows.forEach((row) => (row || []).forEach((cell) => collectFields(cell?.components, fields)));
+      }
+    });
+    return fields;
+  }
+
+  class ChefsFormViewer extends HTMLElement {
+    constructor() {
+      super();
+      this._root = null;
+      this._form = null;
+      this._version = null;
+      this._submission = null;
+      this._data = {};
+      this._readOnly = false;
+      this._userTokenTimer = null;
+    }
+
+    connectedCallback() {
+      if (!this._root) {
+        this._root = this.hasAttribute("no-shadow") ? this : this.attachShadow({ mode: "open" });
+      }
+    }
+
+    get _baseUrl() {
+      return (this.getAttribute("base-url") || "").replace(/\/+$/, "");
+    }
+
+    _log(...args) {
+      if (this.getAttribute("debug") === "true") console.log("[chefs-form-viewer:mock]", ...args);
+    }
+
+    /**
+     * Dispatch a formio:* event. Handlers may cancel it with preventDefault()
+     * or delay it with event.detail.waitUntil(promise); a promise resolving
+     * to false also cancels.
+     * @returns {Promise<boolean>} false when cancelled
+     */
+    async _emit(name, detail = {}) {
+      const pending = [];
+      const event = new CustomEvent(name, {
+        cancelable: true,
+        detail: { ...detail, waitUntil: (promise) => pending.push(promise) },
+      });
+      this._log(name, detail);
+      this.dispatchEvent(event);
+      const results = await Promise.all(pending);
+      return !event.defaultPrevented && !results.includes(false);
+    }
+
+    async _request(method, path, body) {
+      const response = await fetch(`${this._baseUrl}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.getAttribute("auth-token")}`,
+          "Content-Type": "application/json",
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(payload.detail || `${method} ${path} failed: ${response.status}`);
+      }
+      return payload;
+    }
+
+    async load() {
+      this.connectedCallback();
+      const formId = this.getAttribute("form-id");
+      try {
+        if (!(await this._emit("formio:beforeLoad", { formId }))) return;
+        if (!(await this._emit("formio:beforeLoadSchema", { formId }))) return;
+
+        const { form, version } = await this._request("GET", `/gateway/v1/forms/${formId}/version`);
+        this._form = form;
+        this._version = version;
+        await this._emit("formio:loadSchema", { form, schema: version.schema });
+
+        const submissionId = this.getAttribute("submission-id");
+        if (submissionId) {
+          this._submission = await this._request("GET", `/gateway/v1/submissions/${submissionId}`);
+          this._data = { ...this._submission.submission.data };
+        }
+        this._readOnly =
+          this.getAttribute("read-only") === "true" || (this._submission && !this._submission.draft);
+
+        await this._emit("formio:beforeInit", { form });
+        this._render();
+        await this._emit("formio:render", { form });
+        await this._emit("formio:ready", { form, submission: this._submission });
+      } catch (err) {
+        this._showError(err);
+      }
+    }
+
+    _render() {
+      const root = this._root;
+      root.innerHTML = "";
+
+      const themeCss = this.getAttribute("theme-css");
+      if (themeCss) {
+        const link = document.createElement("link");
+        link.rel = "stylesheet";
+        link.href = themeCss;
+        root.appendChild(link);
+      }
+
+      const container = document.createElement("form");
+      container.className = "chefs-mock-form";
+      container.noValidate = true;
+
+      const banner = document.createElement("p");
+      banner.textContent = `${this._form.name} (version ${this._version.version}, mock CHEFS)`;
+      banner.style.fontStyle = "italic";
+      container.appendChild(banner);
+
+      if (this._submission) {
+        const info = document.createElement("p");
+        info.textContent = `${this._submission.draft ? "Draft" : "Submission"} ${this._submission.confirmationId}`;
+        container.appendChild(info);
+      }
+
+      collectFields(this._version.schema.components).forEach((component) => {
+        container.appendChild(this._renderField(component));
+      });
+
+      if (!this._readOnly) {
+        const actions = document.createElement("div");
+        actions.append(
+          this._button("Save draft", () => this._submit(true)),
+          this._button("Submit", () => this._submit(false))
+        );
+        container.appendChild(actions);
+      }
+      container.addEventListener("submit", (event) => event.preventDefault());
+      root.appendChild(container);
+    }
+
+    _renderField(component) {
+      const wrapper = document.createElement("label");
+      wrapper.style.display = "block";
+      wrapper.style.margin = "0 0 12px";
+      wrapper.textContent = component.label || component.key;
+
+      const value = this._data[component.key];
+      let input;
+      if (/textarea/.test(component.type)) {
+        input = document.createElement("textarea");
+        input.rows = component.rows || 3;
+        input.value = typeof value === "object" && value !== null ? JSON.stringify(value, null, 2) : value ?? "";
+      } else if (/checkbox/.test(component.type)) {
+        input = document.createElement("input");
+        input.type = "checkbox";
+        input.checked = !!value;
+      } else if (/select|radio/.test(component.type) && (component.values || component.data?.values)?.length) {
+        input = document.createElement("select");
+        input.add(new Option("", ""));
+        (component.values || component.data.values).forEach((option) => input.add(new Option(option.label, option.value)));
+        input.value = value ?? "";
+      } else {
+        input = document.createElement("input");
+        input.type = /number/.test(component.type) ? "number" : /email/.test(component.type) ? "email" : "text";
+        input.value = value ?? "";
+      }
+      input.name = component.key;
+      input.disabled = this._readOnly || !!component.disabled;
+      input.style.display = "block";
+      input.style.width = "100%";
+      input.addEventListener("change", () => {
+        this._data[component.key] = input.type === "checkbox" ? input.checked : input.value;
+        this._emit("formio:change", { changed: { component, value: this._data[component.key] }, data: this._data });
+      });
+      wrapper.appendChild(input);
+      return wrapper;
+    }
+
+    _button(label, onClick) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = label;
+      button.style.marginRight = "8px";
+      button.addEventListener("click", onClick);
+      return button;
+    }
+
+    _submitter() {
+      const token = parseJson(this.getAttribute("token")) || {};
+      const user = parseJson(this.getAttribute("user")) || {};
+      return token.preferred_username || user.username || user.email || user.sub || "public";
+    }
+
+    async _submit(isDraft) {
+      const data = { ...this._data };
+      try {
+        if (!(await this._emit("formio:beforeSubmit", { data, isDraft }))) return;
+
+        if (this.getAttribute("submit-mode") === "host") {
+          const display = await this._emit("formio:hostSubmit", {
+            data,
+            submission: { data },
+            formId: this._form.id,
+            formName: this._form.name,
+            timestamp: new Date().toISOString(),
+            isDraft,
+          });
+          if (display && !isDraft) this.displayAsReadOnly(data);
+          return;
+        }
+
+        const body = { draft: isDraft, submission: { data }, formVersionId: this._version.id, createdBy: this._submitter() };
+        this._submission = this._submission?.draft
+          ? await this._request("PUT", `/gateway/v1/submissions/${this._submission.id}`, { ...body, updatedBy: body.createdBy })
+          : await this._request("POST", `/gateway/v1/forms/${this._form.id}/submissions`, body);
+        this.setAttribute("submission-id", this._submission.id);
+
+        await this._emit("formio:submit", { submission: this._submission, isDraft });
+        await this._emit("formio:submitDone", { submission: this._submission, isDraft });
+        this._readOnly = !isDraft;
+        this._render();
+      } catch (err) {
+        this._showError(err);
+      }
+    }
+
+    /** Re-render the form read-only with the given data. */
+    displayAsReadOnly(data) {
+      this._data = { ...(data || this._data) };
+      this._readOnly = true;
+      this._render();
+    }
+
+    /** Replace the gateway auth token (e.g. after a host-side refresh). */
+    setAuthToken(authToken) {
+      this.setAttribute("auth-token", authToken);
+      this._emit("formio:authTokenRefreshed", { authToken, expiresAt: readExpiry(authToken) });
+    }
+
+    /**
+     * Set the user token and emit formio:userTokenExpiring `buffer` seconds
+     * before it expires.
+     */
+    refreshUserToken({ token, buffer = 60 }) {
+      clearTimeout(this._userTokenTimer);
+      const exp = readExpiry(token);
+      if (!exp) return;
+      const delay = (exp - buffer) * 1000 - Date.now();
+      this._userTokenTimer = setTimeout(
+        () => this._emit("formio:userTokenExpiring", { expired: Date.now() >= exp * 1000, expiresAt: exp }),
+        Math.max(0, delay)
+      );
+    }
+
+    _showError(err) {
+      console.error("[chefs-form-viewer:mock]", err);
+      this._emit("formio:error", { error: err.message });
+      const message = document.createElement("p");
+      message.style.color = "#b00020";
+      message.textContent = `Error: ${err.message}`;
+      this._root.prepend(message);
+    }
+  }
+
+  customElements.define("chefs-form-viewer", ChefsFormViewer);
+})();
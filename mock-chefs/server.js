@@ -0,0 +1,314 @@
+/**
+ * Mock CHEFS Service
+ *
+ * Local stand-in for a CHEFS instance so the app can run without network
+ * access to CHEFS. Start it with `npm run mock:chefs` and point
+ * CHEFS_BASE_URL (plugins without their own baseUrl, which includes the
+ * bundled ones), CHEFS_BASE_URL_OVERRIDE (every plugin) or a single plugin's
+ * baseUrl at http://localhost:4444/app.
+ *
+ * Serves, under the base path (default /app):
+ * - POST /gateway/v1/auth/token/forms/:formId  gateway token (Basic formId:apiKey)
+ * - /gateway/v1/...                            schema and submission calls made by the viewer (Bearer gateway token)
+ * - /api/v1/...                                CHEFS API subset (Basic formId:apiKey)
+ * - GET /embed/chefs-form-viewer.js            stub chefs-form-viewer web component
+ *
+ * Environment:
+ * - MOCK_CHEFS_PORT (default 4444)
+ * - MOCK_CHEFS_BASE_PATH (default /app)
+ * - MOCK_CHEFS_API_KEY: when set, the only accepted API key; otherwise any non-empty key works
+ * - MOCK_CHEFS_TOKEN_TTL: gateway token lifetime in seconds (default 300)
+ * - MOCK_CHEFS_DATA_FILE: JSON file to persist submissions in (default: memory only)
+ */
+require("dotenv").config();
+const path = require("path");
+const express = require("express");
+const store = require("./store");
+
+const config = {
+  port: Number(process.env.MOCK_CHEFS_PORT || 4444),
+  basePath: process.env.MOCK_CHEFS_BASE_PATH || "/app",
+  apiKey: process.env.MOCK_CHEFS_API_KEY || null,
+  tokenTtl: Number(process.env.MOCK_CHEFS_TOKEN_TTL || 300),
+  dataFile: process.env.MOCK_CHEFS_DATA_FILE || null,
+};
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+/**
+ * Issue an unsigned JWT-shaped gateway token for a form.
+ */
+function issueToken(formId) {
+  const now = Math.floor(Date.now() / 1000);
+  return [
+    base64url({ alg: "none", typ: "JWT" }),
+    base64url({ iss: "mock-chefs", formId, iat: now, exp: now + config.tokenTtl }),
+    "mock",
+  ].join(".");
+}
+
+/**
+ * Read the form id from a valid, unexpired gateway token.
+ *
+ * @returns {string|null}
+ */
+function verifyToken(token) {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(token.split(".")[1], "base64url").toString(),
+    );
+    if (payload.iss !== "mock-chefs") return null;
+    if (payload.exp * 1000 < Date.now()) return null;
+    return payload.formId;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse Basic formId:apiKey credentials.
+ *
+ * @returns {{ formId: string, apiKey: string }|null}
+ */
+function parseBasicAuth(req) {
+  const [scheme, encoded] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Basic" || !encoded) return null;
+  const decoded = Buffer.from(encoded, "base64").toString();
+  const separator = decoded.indexOf(":");
+  if (separator < 0) return null;
+  return {
+    formId: decoded.slice(0, separator),
+    apiKey: decoded.slice(separator + 1),
+  };
+}
+
+function validApiKey(apiKey) {
+  return config.apiKey ? apiKey === config.apiKey : !!apiKey;
+}
+
+/**
+ * Basic auth for /api/v1: sets req.formId to the authenticated form.
+ */
+function requireApiKey(req, res, next) {
+  const credentials = parseBasicAuth(req);
+  if (!credentials || !validApiKey(credentials.apiKey)) {
+    return res.status(401).json({ detail: "Invalid authorization credentials." });
+  }
+  if (!store.getForm(credentials.formId)) {
+    return res.status(404).json({ detail: "Form not found." });
+  }
+  req.formId = credentials.formId;
+  next();
+}
+
+/**
+ * Bearer gateway token for /gateway/v1 (viewer calls): sets req.formId.
+ */
+function requireGatewayToken(req, res, next) {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  const formId = scheme === "Bearer" && token ? verifyToken(token) : null;
+  if (!formId) {
+    return res.status(401).json({ detail: "Invalid or expired token." });
+  }
+  req.formId = formId;
+  next();
+}
+
+/**
+ * Reject requests for a form other than the authenticated one.
+ */
+function sameForm(req, res, formId) {
+  if (formId !== req.formId) {
+    res.status(403).json({ detail: "Credentials do not grant access to this form." });
+    return false;
+  }
+  return true;
+}
+
+function findOwnSubmission(req, res) {
+  const submission = store.getSubmission(req.params.submissionId);
+  if (!submission) {
+    res.status(404).json({ detail: "Submission not found." });
+    return null;
+  }
+  return sameForm(req, res, submission.formId) ? submission : null;
+}
+
+function updateOwnSubmission(req, res) {
+  const submission = findOwnSubmission(req, res);
+  if (!submission) return;
+  try {
+    const { draft, submission: body, updatedBy } = req.body || {};
+    res.json(
+      store.updateSubmission(submission.id, {
+        data: body?.data,
+        draft,
+        updatedBy,
+      }),
+    );
+  } catch (err) {
+    res.status(400).json({ detail: err.message });
+  }
+}
+
+const chefs = express.Router();
+chefs.use(express.json({ limit: "5mb" }));
+
+// The stub viewer calls the mock from the host app's origin
+chefs.use((req, res, next) => {
+  res.set({
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
+  });
+  if (req.method === "OPTIONS") return res.sendStatus(204);
+  next();
+});
+
+// --- Gateway -------------------------------------------------------------
+
+chefs.post("/gateway/v1/auth/token/forms/:formId", (req, res) => {
+  const credentials = parseBasicAuth(req);
+  if (!credentials || !validApiKey(credentials.apiKey)) {
+    return res.status(401).json({ detail: "Invalid authorization credentials." });
+  }
+  if (credentials.formId !== req.params.formId) {
+    return res.status(403).json({ detail: "Credentials do not match this form." });
+  }
+  if (!store.getForm(req.params.formId)) {
+    return res.status(404).json({ detail: "Form not found." });
+  }
+  res.json({ token: issueToken(req.params.formId) });
+});
+
+chefs.get("/gateway/v1/forms/:formId/version", requireGatewayToken, (req, res) => {
+  if (!sameForm(req, res, req.params.formId)) return;
+  const form = store.getForm(req.params.formId);
+  const version = store.getFormVersion(req.params.formId, req.query.versionId);
+  if (!version) {
+    return res.status(404).json({ detail: "Form version not found." });
+  }
+  res.json({ form: { id: form.id, name: form.name }, version });
+});
+
+chefs.post("/gateway/v1/forms/:formId/submissions", requireGatewayToken, (req, res) => {
+  if (!sameForm(req, res, req.params.formId)) return;
+  const { draft, submission, formVersionId, createdBy } = req.body || {};
+  const version = store.getFormVersion(req.params.formId, formVersionId);
+  if (!version) {
+    return res.status(404).json({ detail: "Form version not found." });
+  }
+  res.status(201).json(
+    store.createSubmission({
+      formId: req.params.formId,
+      formVersionId: version.id,
+      data: submission?.data,
+      draft,
+      createdBy,
+    }),
+  );
+});
+
+chefs.get("/gateway/v1/submissions/:submissionId", requireGatewayToken, (req, res) => {
+  const submission = findOwnSubmission(req, res);
+  if (submission) res.json(submission);
+});
+
+chefs.put("/gateway/v1/submissions/:submissionId", requireGatewayToken, updateOwnSubmission);
+
+// --- API v1 --------------------------------------------------------------
+
+chefs.get("/api/v1/forms/:formId", requireApiKey, (req, res) => {
+  if (!sameForm(req, res, req.params.formId)) return;
+  res.json(store.getForm(req.params.formId));
+});
+
+chefs.get("/api/v1/forms/:formId/versions/:versionId", requireApiKey, (req, res) => {
+  if (!sameForm(req, res, req.params.formId)) return;
+  const version = store.getFormVersion(req.params.formId, req.params.versionId);
+  if (!version) {
+    return res.status(404).json({ detail: "Form version not found." });
+  }
+  res.json(version);
+});
+
+chefs.get("/api/v1/forms/:formId/submissions", requireApiKey, (req, res) => {
+  if (!sameForm(req, res, req.params.formId)) return;
+  const draft =
+    req.query.draft === undefined ? undefined : req.query.draft === "true";
+  res.json(
+    store.listSubmissions(req.params.formId, {
+      createdBy: req.query.createdBy,
+      draft,
+    }),
+  );
+});
+
+chefs.post(
+  "/api/v1/forms/:formId/versions/:versionId/submissions",
+  requireApiKey,
+  (req, res) => {
+    if (!sameForm(req, res, req.params.formId)) return;
+    const version = store.getFormVersion(req.params.formId, req.params.versionId);
+    if (!version) {
+      return res.status(404).json({ detail: "Form version not found." });
+    }
+    const { draft, submission, createdBy } = req.body || {};
+    res.status(201).json(
+      store.createSubmission({
+        formId: req.params.formId,
+        formVersionId: version.id,
+        data: submission?.data,
+        draft,
+        createdBy,
+      }),
+    );
+  },
+);
+
+chefs.get("/api/v1/submissions/:submissionId", requireApiKey, (req, res) => {
+  const submission = findOwnSubmission(req, res);
+  if (!submission) return;
+  const formVersion = store.getFormVersion(
+    submission.formId,
+    submission.formVersionId,
+  );
+  if (!formVersion) {
+    return res.status(404).json({ detail: "Form version not found." });
+  }
+  const { schema, ...version } = formVersion;
+  const { versions, ...form } = store.getForm(submission.formId);
+  res.json({ form, submission, version });
+});
+
+chefs.put("/api/v1/submissions/:submissionId", requireApiKey, updateOwnSubmission);
+
+chefs.get("/api/v1/submissions/:submissionId/status", requireApiKey, (req, res) => {
+  const submission = findOwnSubmission(req, res);
+  if (submission) res.json([...submission.status].reverse());
+});
+
+// --- Embed ---------------------------------------------------------------
+
+chefs.get("/embed/chefs-form-viewer.js", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "chefs-form-viewer.js"));
+});
+
+const app = express();
+app.use(config.basePath, chefs);
+
+if (require.main === module) {
+  store.useDataFile(config.dataFile);
+  app.listen(config.port, () => {
+    console.log(
+      `[mock-chefs] CHEFS stand-in running on http://localhost:${config.port}${config.basePath}`,
+    );
+    console.log(
+      `[mock-chefs] Serving ${store.listForms().length} forms from form_schemas/`,
+    );
+  });
+}
+
+module.exports = { app, issueToken };
@@ -0,0 +1,197 @@
+/**
+ * Mock CHEFS Store
+ *
+ * Forms, form versions and submissions for the local CHEFS stand-in.
+ * Forms are declared in forms.json (form id -> name and versions) and their
+ * schemas are read from form_schemas/. Submissions and drafts are kept in
+ * memory and, when a data file is configured, written to it so they survive
+ * restarts.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const schemasDir = path.join(__dirname, "..", "form_schemas");
+const forms = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "forms.json"), "utf8"),
+);
+
+// submissionId -> submission record
+const submissions = new Map();
+let dataFile = null;
+
+/**
+ * Load stored submissions and keep writing them to `file`.
+ *
+ * @param {string|null} file - JSON data file, or null for memory only
+ */
+function useDataFile(file) {
+  dataFile = file;
+  if (!file || !fs.existsSync(file)) return;
+  const records = JSON.parse(fs.readFileSync(file, "utf8"));
+  records.forEach((record) => submissions.set(record.id, record));
+  console.log(`[mock-chefs] Loaded ${records.length} submissions from ${file}`);
+}
+
+function persist() {
+  if (!dataFile) return;
+  fs.writeFileSync(
+    dataFile,
+    JSON.stringify(Array.from(submissions.values()), null, 2),
+  );
+}
+
+/**
+ * Get a form with its version list (schemas not included).
+ *
+ * @param {string} formId - Form UUID
+ * @returns {Object|null}
+ */
+function getForm(formId) {
+  const form = forms[formId];
+  if (!form) return null;
+  return {
+    id: formId,
+    name: form.name,
+    description: form.description || "",
+    active: true,
+    versions: form.versions.map(({ schema, ...version }) => ({
+      ...version,
+      formId,
+    })),
+  };
+}
+
+function listForms() {
+  return Object.keys(forms).map(getForm);
+}
+
+/**
+ * Get one version of a form including its schema.
+ *
+ * @param {string} formId - Form UUID
+ * @param {string} [versionId] - Version UUID; defaults to the latest published version
+ * @returns {Object|null}
+ */
+function getFormVersion(formId, versionId) {
+  const form = forms[formId];
+  if (!form) return null;
+
+  const published = form.versions
+    .filter((version) => version.published)
+    .sort((a, b) => b.version - a.version);
+  const version = versionId
+    ? form.versions.find((candidate) => candidate.id === versionId)
+    : published[0];
+  if (!version) return null;
+
+  const schema = JSON.parse(
+    fs.readFileSync(path.join(schemasDir, version.schema), "utf8"),
+  );
+  return {
+    id: version.id,
+    formId,
+    version: version.version,
+    published: version.published,
+    schema,
+  };
+}
+
+function confirmationIdFor(id) {
+  return id.slice(0, 8).toUpperCase();
+}
+
+/**
+ * Create a submission or draft.
+ *
+ * @param {Object} input
+ * @param {string} input.formId - Form UUID
+ * @param {string} input.formVersionId - Version UUID
+ * @param {Object} input.data - Submission data
+ * @param {boolean} [input.draft=false] - Save as draft
+ * @param {string} [input.createdBy="public"] - Submitter
+ * @returns {Object} The stored submission
+ */
+function createSubmission({ formId, formVersionId, data, draft = false, createdBy }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const record = {
+    id,
+    formId,
+    formVersionId,
+    confirmationId: confirmationIdFor(id),
+    draft: !!draft,
+    deleted: false,
+    submission: { data: data || {} },
+    createdBy: createdBy || "public",
+    createdAt: now,
+    updatedBy: createdBy || "public",
+    updatedAt: now,
+    status: [{ code: draft ? "DRAFT" : "SUBMITTED", createdAt: now }],
+  };
+  submissions.set(id, record);
+  persist();
+  return record;
+}
+
+/**
+ * Update a draft (data and/or submit it).
+ *
+ * @param {string} id - Submission UUID
+ * @param {Object} input
+ * @param {Object} [input.data] - New submission data
+ * @param {boolean} [input.draft] - false to submit the draft
+ * @param {string} [input.updatedBy] - Who made the change
+ * @returns {Object|null} The updated submission, or null if not found
+ * @throws {Error} If the submission is no longer a draft
+ */
+function updateSubmission(id, { data, draft, updatedBy }) {
+  const record = submissions.get(id);
+  if (!record) return null;
+  if (!record.draft) {
+    throw new Error("Only drafts can be updated");
+  }
+
+  const now = new Date().toISOString();
+  if (data) record.submission = { data };
+  if (draft === false) {
+    record.draft = false;
+    record.status.push({ code: "SUBMITTED", createdAt: now });
+  }
+  record.updatedBy = updatedBy || record.updatedBy;
+  record.updatedAt = now;
+  persist();
+  return record;
+}
+
+function getSubmission(id) {
+  return submissions.get(id) || null;
+}
+
+/**
+ * List a form's submissions, newest first.
+ *
+ * @param {string} formId - Form UUID
+ * @param {Object} [filters]
+ * @param {string} [filters.createdBy] - Only this submitter's submissions
+ * @param {boolean} [filters.draft] - Only drafts (true) or only submitted (false)
+ * @returns {Array<Object>}
+ */
+function listSubmissions(formId, { createdBy, draft } = {}) {
+  return Array.from(submissions.values())
+    .filter((record) => record.formId === formId && !record.deleted)
+    .filter((record) => !createdBy || record.createdBy === createdBy)
+    .filter((record) => draft === undefined || record.draft === draft)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  useDataFile,
+  getForm,
+  listForms,
+  getFormVersion,
+  createSubmission,
+  updateSubmission,
+  getSubmission,
+  listSubmissions,
+};
@@ -0,0 +1,253 @@
+/**
+ * CHEFS Auth Token Refresh Helper
+ *
+ * Client-side module that keeps the chefs-form-viewer's `auth-token`
+ * (the CHEFS gateway token) valid while a form stays open. Shortly before
+ * the current token expires it asks the host application for a new one
+ * and pushes it into the viewer.
+ *
+ * The pluginId (and optional pluginVersion and environment) is passed to
+ * the refresh endpoint, which checks the user may launch the plugin and
+ * issues the token with the plugin's server-side API key for that
+ * environment.
+ *
+ * When the viewer reports `formio:authTokenRefreshed` (a new token was
+ * applied, by this helper or otherwise) the next refresh is rescheduled
+ * from that token's expiry.
+ *
+ * The buffer is capped at half the time the token has left, so a token that
+ * lives shorter than the buffer does not trigger back-to-back refreshes. A
+ * response whose token does not expire later than the current one counts
+ * as a failure and is retried after `retryDelay`.
+ */
+
+/**
+ * Read the `exp` claim (epoch seconds) from a JWT without verifying it.
+ * @param {string} token
+ * @returns {number|null}
+ */
+function readExpiry(token) {
+  try {
+    const [, payload] = token.split(".");
+    const json = atob(payload.replace(/-/g, "+").replace(/_/g, "/"));
+    const { exp } = JSON.parse(json);
+    return typeof exp === "number" ? exp : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * ChefsTokenRefresh renews the gateway auth token for one viewer.
+ */
+export class ChefsTokenRefresh {
+  /**
+   * @param {HTMLElement} viewer - The chefs-form-viewer element
+   * @param {Object} options - Configuration options
+   * @param {string} options.pluginId - The plugin's slug identifier (required)
+   * @param {string} [options.pluginVersion] - The plugin version (defaults to the plugin's default version)
+   * @param {string} [options.environment] - CHEFS environment of the embed (defaults to the server's active one)
+   * @param {number} [options.expiresAt] - Expiry of the current token (epoch seconds); read from the token when omitted
+   * @param {string} [options.refreshUrl="/auth/chefs-token"] - Endpoint to call for a new token
+   * @param {number} [options.buffer=30] - Seconds before expiry to refresh
+   * @param {number} [options.retryDelay=15] - Seconds to wait before retrying a failed refresh
+   * @param {Function} [options.onRefreshFailed] - Callback when refresh fails
+   * @param {Function} [options.onRefreshSuccess] - Callback when refresh succeeds
+   */
+  constructor(viewer, options = {}) {
+    this.viewer = viewer;
+    this.pluginId = options.pluginId;
+    this.pluginVersion = options.pluginVersion || null;
+    this.environment = options.environment || null;
+    this.expiresAt = options.expiresAt || null;
+    this.refreshUrl = options.refreshUrl || "/auth/chefs-token";
+    this.buffer = options.buffer || 30;
+    this.retryDelay = options.retryDelay || 15;
+    this.onRefreshFailed = options.onRefreshFailed || null;
+    this.onRefreshSuccess = options.onRefreshSuccess || null;
+    this._timer = null;
+    this._bound = false;
+    this._handleRefreshed = this._handleRefreshed.bind(this);
+  }
+
+  /**
+   * Start watching the viewer and schedule the first refresh.
+   * Safe to call multiple times - will only bind once.
+   */
+  bind() {
+    if (this._bound) return;
+
+    if (!this.pluginId) {
+      console.warn(
+        "[chefs-token-refresh] No pluginId provided, auth token refresh disabled"
+      );
+      return;
+    }
+
+    this.viewer.addEventListener(
+      "formio:authTokenRefreshed",
+      this._handleRefreshed
+    );
+    this._bound = true;
+
+    const expiresAt =
+      this.expiresAt || readExpiry(this.viewer.getAttribute("auth-token") || "");
+    this._schedule(expiresAt);
+  }
+
+  /**
+   * Stop refreshing and unbind from the viewer.
+   */
+  unbind() {
+    if (!this._bound) return;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.viewer.removeEventListener(
+      "formio:authTokenRefreshed",
+      this._handleRefreshed
+    );
+    this._bound = false;
+  }
+
+  /**
+   * Request a new token now and push it into the viewer.
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    try {
+      const response = await fetch(this.refreshUrl, {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          pluginId: this.pluginId,
+          pluginVersion: this.pluginVersion,
+          environment: this.environment,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(
+          errorData.error || `Refresh failed: ${response.status}`
+        );
+      }
+
+      const { authToken, expiresAt } = await response.json();
+      const nextExpiresAt = expiresAt || readExpiry(authToken);
+      if (nextExpiresAt && this.expiresAt && nextExpiresAt <= this.expiresAt) {
+        throw new Error("Received a token that does not expire later than the current one");
+      }
+      this._apply(authToken);
+      this._schedule(nextExpiresAt);
+
+      if (this.onRefreshSuccess) {
+        this.onRefreshSuccess();
+      }
+    } catch (err) {
+      this._handleFailure(err.message);
+    }
+  }
+
+  /**
+   * Push a token into the viewer.
+   * @param {string} authToken
+   * @private
+   */
+  _apply(authToken) {
+    if (typeof this.viewer.setAuthToken === "function") {
+      this.viewer.setAuthToken(authToken);
+    } else {
+      this.viewer.setAttribute("auth-token", authToken);
+    }
+  }
+
+  /**
+   * Schedule the next refresh `buffer` seconds before expiresAt, or halfway
+   * to expiresAt when the token has less than twice the buffer left.
+   * @param {number|null} expiresAt - Epoch seconds
+   * @private
+   */
+  _schedule(expiresAt) {
+    clearTimeout(this._timer);
+    if (!expiresAt) {
+      console.warn(
+        "[chefs-token-refresh] Token expiry unknown, refresh not scheduled"
+      );
+      return;
+    }
+    this.expiresAt = expiresAt;
+    const remainingMs = expiresAt * 1000 - Date.now();
+    const delayMs = Math.max(0, remainingMs - this.buffer * 1000, remainingMs / 2);
+    this._timer = setTimeout(() => this.refresh(), delayMs);
+  }
+
+  /**
+   * Reschedule from the token the viewer reports as refreshed.
+   * @param {CustomEvent} event - The authTokenRefreshed event
+   * @private
+   */
+  _handleRefreshed(event) {
+    const token =
+      event.detail?.authToken ||
+      event.detail?.token ||
+      this.viewer.getAttribute("auth-token");
+    const expiresAt = event.detail?.expiresAt || readExpiry(token || "");
+    if (expiresAt) {
+      this._schedule(expiresAt);
+    }
+  }
+
+  /**
+   * Handle refresh failure by logging, calling the failure callback and
+   * retrying after `retryDelay` seconds.
+   * @param {string} reason - The failure reason
+   * @private
+   */
+  _handleFailure(reason) {
+    console.error("[chefs-token-refresh] Failed:", reason);
+    if (this.onRefreshFailed) {
+      this.onRefreshFailed(reason);
+    }
+    if (this._bound) {
+      this._timer = setTimeout(() => this.refresh(), this.retryDelay * 1000);
+    }
+  }
+}
+
+/**
+ * Keep a chefs-form-viewer's CHEFS auth token fresh.
+ *
+ * @param {HTMLElement} viewer - The chefs-form-viewer element
+ * @param {Object} options - Configuration options (see ChefsTokenRefresh)
+ * @returns {ChefsTokenRefresh|null} The refresh handler instance or null without a pluginId
+ *
+ * @example
+ * import { initChefsTokenRefresh } from "/lib/chefs-token-refresh.js";
+ *
+ * const viewer = document.querySelector("chefs-form-viewer");
+ * const refresher = initChefsTokenRefresh(viewer, {
+ *   pluginId: "my-plugin",     // Required: identifies the form and API key server-side
+ *   expiresAt: 1700000000,     // Expiry of the token the page was rendered with
+ *   buffer: 30,                // Refresh 30 seconds before expiry (default)
+ *   onRefreshFailed: (reason) => console.warn("CHEFS token refresh failed:", reason),
+ * });
+ *
+ * // Later, if needed:
+ * // refresher?.unbind();
+ */
+export function initChefsTokenRefresh(viewer, options) {
+  if (!options?.pluginId) {
+    console.log(
+      "[chefs-token-refresh] No pluginId provided, auth token refresh not enabled"
+    );
+    return null;
+  }
+
+  const refresher = new ChefsTokenRefresh(viewer, options);
+  refresher.bind();
+  return refresher;
+}
@@ -0,0 +1,132 @@
+/**
+ * Offline Form Preview
+ *
+ * Renders a stored form schema with the locally hosted Form.io renderer
+ * (window.Formio, served from /vendor/formio) for the schema gallery. The
+ * sample `host`, `token`, `user` and `headers` values are passed as the
+ * Form.io evalContext, the same names a CHEFS form reads them by inside the
+ * chefs-form-viewer, so calculated values and conditionals react to them.
+ *
+ * CHEFS registers its own component types (simpletextfieldadvanced,
+ * simplecols4, ...) that the stock renderer does not know. They are mapped
+ * to the Form.io type they extend before rendering; anything still unknown
+ * is reported back so the page can say so.
+ */
+
+// CHEFS component type -> stock Form.io type
+export const CHEFS_COMPONENT_TYPES = {
+  simplecols2: "columns",
+  simplecols3: "columns",
+  simplecols4: "columns",
+  simplefieldset: "fieldset",
+  simplepanel: "panel",
+  simpletabs: "tabs",
+  simplecontent: "content",
+  simpleheading: "htmlelement",
+  simpleparagraph: "content",
+  simplebtnsubmit: "button",
+  simplebtnreset: "button",
+  simplebuttonadvanced: "button",
+  simplecheckboxes: "selectboxes",
+  simplecheckboxesadvanced: "selectboxes",
+  simpleradios: "radio",
+  simpleradioadvanced: "radio",
+  simpleselect: "select",
+  simpleselectadvanced: "select",
+  simplephonenumber: "phoneNumber",
+  simplephonenumberadvanced: "phoneNumber",
+  bcaddress: "address",
+};
+
+/**
+ * The stock type for a component type, or null when the renderer has none.
+ * Types not in CHEFS_COMPONENT_TYPES fall back to dropping the "simple"
+ * prefix and "advanced" suffix (simpletextfieldadvanced -> textfield).
+ *
+ * @param {string} type
+ * @param {Object} registered - Form.io's registered components (Formio.Components.components)
+ * @returns {string|null}
+ */
+export function toStockType(type, registered) {
+  if (registered[type]) return type;
+  const candidate =
+    CHEFS_COMPONENT_TYPES[type] || type.replace(/^simple/, "").replace(/advanced$/, "");
+  return registered[candidate] ? candidate : null;
+}
+
+/**
+ * Copy a schema with its CHEFS component types mapped to stock ones.
+ *
+ * @param {Object} schema - Form.io schema
+ * @param {Object} registered - Form.io's registered components
+ * @returns {{ schema: Object, unknownTypes: Array<string> }}
+ */
+export function toPreviewSchema(schema, registered) {
+  const unknownTypes = new Set();
+  const copy = JSON.parse(JSON.stringify(schema));
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === "object") {
+      if (typeof value.type === "string" && value.key !== undefined) {
+        const stock = toStockType(value.type, registered);
+        if (stock) value.type = stock;
+        else unknownTypes.add(value.type);
+      }
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(copy.components);
+  return { schema: copy, unknownTypes: Array.from(unknownTypes) };
+}
+
+/**
+ * FormPreview renders one schema and re-renders it when the sample
+ * context changes, keeping the values entered so far.
+ */
+export class FormPreview {
+  /**
+   * @param {HTMLElement} element - Container to render into
+   * @param {Object} schema - Form.io schema
+   * @param {Object} [options]
+   * @param {Object} [options.Formio=window.Formio] - The Form.io renderer
+   */
+  constructor(element, schema, options = {}) {
+    this.element = element;
+    this.Formio = options.Formio || window.Formio;
+    if (!this.Formio) {
+      throw new Error("Form.io renderer not loaded");
+    }
+    const { schema: previewSchema, unknownTypes } = toPreviewSchema(
+      schema,
+      this.Formio.Components.components,
+    );
+    this.schema = previewSchema;
+    this.unknownTypes = unknownTypes;
+    this.form = null;
+  }
+
+  /**
+   * (Re)render the form with a new evalContext.
+   *
+   * @param {{ host?: any, token?: any, user?: any, headers?: any }} context
+   * @returns {Promise<Object>} The Form.io form instance
+   */
+  async render(context) {
+    const data = this.form?.submission?.data;
+    this.destroy();
+    this.form = await this.Formio.createForm(this.element, this.schema, {
+      evalContext: context,
+    });
+    if (data) this.form.submission = { data };
+    return this.form;
+  }
+
+  destroy() {
+    if (this.form) {
+      this.form.destroy();
+      this.form = null;
+    }
+    this.element.innerHTML = "";
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Plugin Mount
+ *
+ * Wires one plugin module to one chefs-form-viewer element: imports the
+ * module, calls its register(), merges the server hook result, applies the
+ * config as viewer attributes, attaches event handlers, starts user and
+ * CHEFS auth token refresh and loads the form.
+ *
+ * Every call is independent, so a page can mount several plugins on
+ * several viewers and one plugin failing does not affect the others.
+ *
+ * @example
+ * import { mountPlugin } from "/lib/plugin-mount.js";
+ *
+ * await mountPlugin(document.getElementById("viewer-1"), embed);
+ */
+import { initUserTokenRefresh } from "./user-token-refresh.js";
+import { initChefsTokenRefresh } from "./chefs-token-refresh.js";
+
+/**
+ * Merge the plugin's config with its serverRegister result.
+ * Server-provided attributes win; hostData is shallow-merged.
+ *
+ * @param {Object} pluginConfig - Config returned by register()
+ * @param {Object|null} server - Result of the plugin's serverRegister hook
+ * @returns {Object} Merged config
+ */
+export function mergeServerResult(pluginConfig, server) {
+  if (!server) return pluginConfig;
+  return {
+    ...pluginConfig,
+    ...server.config,
+    ...(server.hostData && {
+      hostData: { ...(pluginConfig.hostData || {}), ...server.hostData },
+    }),
+  };
+}
+
+/**
+ * Mount a plugin on a chefs-form-viewer element.
+ *
+ * @param {HTMLElement} viewer - The chefs-form-viewer element
+ * @param {Object} embed - Embed description rendered by the server
+ * @param {string} embed.modulePath - URL of the plugin module
+ * @param {string} embed.formId - CHEFS form UUID
+ * @param {string} embed.authToken - CHEFS gateway token
+ * @param {number} [embed.authTokenExpiresAt] - Gateway token expiry (epoch seconds)
+ * @param {string} embed.baseUrl - CHEFS base URL
+ * @param {Object} embed.requestContext - Raw request context passed to register()
+ * @param {Object|null} [embed.server] - Result of the plugin's serverRegister hook
+ * @param {Array<Object>} embed.attributes - Attribute map (EMBED_ATTRIBUTES)
+ * @param {Object|null} [embed.tokenRefresh] - { pluginId, pluginVersion, buffer } when the plugin refreshes user tokens
+ * @param {Object} embed.plugin - { slug, version } of the plugin, used to renew the gateway token
+ * @param {string|null} [embed.environment] - CHEFS environment the gateway token was issued for
+ * @param {Object|null} [embed.submission] - { id, readOnly } of a submission or draft to open
+ * @param {string} [embed.logPrefix="[chefs-embed]"] - Log prefix
+ * @returns {Promise<HTMLElement>} The viewer once the form load has been started
+ */
+export async function mountPlugin(viewer, embed) {
+  const {
+    modulePath,
+    formId,
+    authToken,
+    authTokenExpiresAt = null,
+    baseUrl,
+    requestContext,
+    server = null,
+    attributes,
+    tokenRefresh = null,
+    plugin,
+    environment = null,
+    submission = null,
+    logPrefix = "[chefs-embed]",
+  } = embed;
+
+  const { register } = await import(modulePath);
+  const { config: pluginConfig = {}, handlers = {} } = register({
+    request: requestContext,
+    server,
+  });
+  const config = mergeServerResult(pluginConfig, server);
+
+  await customElements.whenDefined("chefs-form-viewer");
+
+  // Required attributes from platform (unchanged)
+  viewer.setAttribute("form-id", formId);
+  viewer.setAttribute("auth-token", authToken);
+  viewer.setAttribute("base-url", baseUrl);
+
+  // Plugin-owned shaping: set only attributes explicitly provided by the plugin
+  attributes.forEach(({ key, attr, json }) => {
+    if (config[key] !== undefined && config[key] !== null) {
+      const value = json ? JSON.stringify(config[key]) : config[key];
+      viewer.setAttribute(attr, value);
+    }
+  });
+
+  // A submission picked by the host ("My submissions") wins over plugin config
+  if (submission) {
+    viewer.setAttribute("submission-id", submission.id);
+    if (submission.readOnly) {
+      viewer.setAttribute("read-only", "true");
+    } else {
+      viewer.removeAttribute("read-only");
+    }
+  }
+
+  // Wire plugin event handlers (plugin can cancel/waitUntil)
+  Object.entries(handlers).forEach(([eventName, fn]) => {
+    if (typeof fn === "function") {
+      viewer.addEventListener(eventName, (event) =>
+        fn({ event, viewer, request: requestContext })
+      );
+    }
+  });
+
+  // Token refresh is per viewer; plugins without tokenRefresh.oidc skip it
+  if (tokenRefresh) {
+    initUserTokenRefresh(viewer, {
+      ...tokenRefresh,
+      environment,
+      initialToken: requestContext.bearerToken,
+      onRefreshFailed: (reason) => {
+        console.warn(`${logPrefix} Token refresh failed:`, reason);
+        // Could redirect to login if needed:
+        // window.location.href = "/auth/login?returnTo=" + encodeURIComponent(window.location.href);
+      },
+      onRefreshSuccess: () => {
+        console.log(`${logPrefix} User token refreshed`);
+      },
+    });
+  } else {
+    console.log(`${logPrefix} Token refresh not configured for this plugin`);
+  }
+
+  // The gateway auth token is renewed for every plugin before it expires
+  initChefsTokenRefresh(viewer, {
+    pluginId: plugin.slug,
+    pluginVersion: plugin.version,
+    environment,
+    expiresAt: authTokenExpiresAt,
+    onRefreshFailed: (reason) => {
+      console.warn(`${logPrefix} CHEFS auth token refresh failed:`, reason);
+    },
+  });
+
+  // Explicitly load the form to avoid auto-load reliance
+  if (typeof viewer.load === "function") {
+    viewer.load();
+  }
+  return viewer;
+}
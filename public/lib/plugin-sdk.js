@@ -0,0 +1,231 @@
+/**
+ * Plugin SDK
+ *
+ * Shared helpers for plugin modules in /plugins. Plugins import what they
+ * need and keep only their unique logic:
+ *
+ * - buildHeaders / buildToken / buildUser: composable shaping of the raw
+ *   request context the embed page passes to register()
+ * - pickOptional: copy optional viewer attributes from the manifest
+ * - createLogger: standard "[prefix] event" lifecycle logging
+ * - defineHandlers: build a handler map for only the events a plugin cares about
+ * - assetUrl: URL of an asset bundled with a folder-based plugin package
+ *
+ * This module is imported both in the browser and by the server-side plugin
+ * registry, so it must not touch DOM globals at import time.
+ *
+ * @example
+ * import { buildHeaders, buildToken, buildUser, tokenPayload, pickOptional, defineHandlers } from "../lib/plugin-sdk.js";
+ *
+ * export function register({ request }) {
+ *   return {
+ *     config: {
+ *       headers: buildHeaders(request),
+ *       token: buildToken(request),
+ *       user: buildUser(tokenPayload(request)),
+ *       ...pickOptional(manifest),
+ *     },
+ *     handlers: defineHandlers({ prefix: "[my-plugin]" }),
+ *   };
+ * }
+ */
+
+/**
+ * Form.io lifecycle events emitted by chefs-form-viewer that plugins
+ * commonly log.
+ */
+export const LIFECYCLE_EVENTS = [
+  "formio:beforeLoad",
+  "formio:beforeLoadSchema",
+  "formio:loadSchema",
+  "formio:beforeInit",
+  "formio:ready",
+  "formio:render",
+  "formio:change",
+  "formio:beforeSubmit",
+  "formio:submit",
+  "formio:submitDone",
+  "formio:beforeAutoReload",
+  "formio:autoReload",
+  "formio:autoReloadComplete",
+  "formio:beforeNext",
+  "formio:beforePrev",
+  "formio:authTokenRefreshed",
+  "formio:beforeFileUpload",
+  "formio:beforeFileDownload",
+  "formio:beforeFileDelete",
+  "formio:error",
+];
+
+/**
+ * Manifest keys that map directly onto optional viewer attributes.
+ */
+export const OPTIONAL_ATTRIBUTES = [
+  "language",
+  "submissionId",
+  "readOnly",
+  "noShadow",
+  "debug",
+  "isolateStyles",
+  "noIcons",
+  "submitButtonKey",
+  "printButtonKey",
+  "printEventName",
+  "autoReloadOnSubmit",
+  "themeCss",
+  "hostData",
+  "submitMode",
+];
+
+/**
+ * Default claims copied into the user object.
+ */
+export const DEFAULT_USER_FIELDS = ["sub", "given_name", "family_name", "email"];
+
+/**
+ * Get the decoded token payload from the request context.
+ * Prefers the access token, falls back to the ID token.
+ *
+ * @param {Object} request - Request context passed to register()
+ * @returns {Object|null} Token claims or null
+ */
+export function tokenPayload(request) {
+  const decoded = request?.decoded || {};
+  return decoded?.accessToken?.payload || decoded?.idToken?.payload || null;
+}
+
+/**
+ * Build the headers object for the Form.io evalContext.
+ *
+ * @param {Object} request - Request context passed to register()
+ * @param {Object} [options]
+ * @param {Array<string>} [options.forward=["x-tenant"]] - Request headers to forward when present
+ * @param {boolean} [options.bearer=true] - Add `Authorization: Bearer <token>`
+ * @param {Object} [options.extra={}] - Additional static headers
+ * @returns {Object} Headers
+ */
+export function buildHeaders(
+  request,
+  { forward = ["x-tenant"], bearer = true, extra = {} } = {},
+) {
+  const headers = request?.headers || {};
+  const bearerToken = request?.bearerToken || "";
+
+  const shaped = {};
+  forward.forEach((name) => {
+    if (headers[name]) shaped[name] = headers[name];
+  });
+  if (bearer && bearerToken) {
+    shaped.Authorization = `Bearer ${bearerToken}`;
+  }
+  return { ...shaped, ...extra };
+}
+
+/**
+ * Build the token object for the Form.io evalContext.
+ * Uses the decoded token payload, falling back to the raw bearer token.
+ *
+ * @param {Object} request - Request context passed to register()
+ * @param {Object} [options]
+ * @param {Object} [options.defaults] - Claims used when the payload does not provide them
+ * @returns {Object|null} Token claims or null
+ */
+export function buildToken(request, { defaults } = {}) {
+  const payload = tokenPayload(request);
+  const bearerToken = request?.bearerToken || "";
+  const base = payload || (bearerToken ? { bearer: bearerToken } : null);
+
+  if (!defaults) return base;
+  return { ...defaults, ...(base || {}) };
+}
+
+/**
+ * Build the user object for the Form.io evalContext from token claims.
+ *
+ * @param {Object|null} claims - Token claims (e.g. tokenPayload(request) or a shaped token)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fields=DEFAULT_USER_FIELDS] - Claims to copy
+ * @returns {Object|null} User or null when there are no claims
+ */
+export function buildUser(claims, { fields = DEFAULT_USER_FIELDS } = {}) {
+  if (!claims) return null;
+  return fields.reduce((acc, field) => {
+    acc[field] = claims[field];
+    return acc;
+  }, {});
+}
+
+/**
+ * Copy the keys present on source (usually the manifest).
+ *
+ * @param {Object} source - Object to pick from
+ * @param {Array<string>} [keys=OPTIONAL_ATTRIBUTES] - Keys to pick
+ * @returns {Object}
+ */
+export function pickOptional(source, keys = OPTIONAL_ATTRIBUTES) {
+  return keys.reduce((acc, key) => {
+    if (Object.prototype.hasOwnProperty.call(source, key)) {
+      acc[key] = source[key];
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Create a lifecycle logger for a plugin.
+ *
+ * @param {string} prefix - Log prefix, e.g. "[my-plugin]"
+ * @returns {(name: string, isError?: boolean) => Function} Factory for event handlers
+ */
+export function createLogger(prefix) {
+  return (name, isError = false) =>
+    ({ event }) => {
+      const payload = event?.detail;
+      if (isError) {
+        console.error(`${prefix} ${name}`, payload);
+      } else {
+        console.log(`${prefix} ${name}`, payload);
+      }
+    };
+}
+
+/**
+ * Build a handler map for the viewer.
+ *
+ * Events listed in `log` get a standard logger ("formio:error" logs as an
+ * error); handlers in `on` are added on top and replace the logger for the
+ * same event.
+ *
+ * @param {Object} options
+ * @param {string} options.prefix - Log prefix, e.g. "[my-plugin]"
+ * @param {Array<string>} [options.log=LIFECYCLE_EVENTS] - Events to log
+ * @param {Object<string, Function>} [options.on={}] - Custom handlers by event name
+ * @returns {Object<string, Function>} Handlers for register()
+ */
+export function defineHandlers({ prefix, log = LIFECYCLE_EVENTS, on = {} }) {
+  const logEvent = createLogger(prefix);
+  const handlers = {};
+  log.forEach((eventName) => {
+    const name = eventName.replace(/^formio:/, "");
+    handlers[eventName] = logEvent(name, eventName === "formio:error");
+  });
+  return { ...handlers, ...on };
+}
+
+/**
+ * Build the URL of an asset bundled with a folder-based plugin package.
+ * Assets are served at /plugin-assets/<slug>@<version>/<path>, so each plugin
+ * version gets its own assets rather than the default version's. In the
+ * browser the URL is absolute so it can be handed to the viewer as-is.
+ *
+ * @param {Object} plugin
+ * @param {string} plugin.slug - The plugin's slug
+ * @param {string} [plugin.version="1.0.0"] - The plugin's manifest version
+ *   (same default as the registry)
+ * @param {string} assetPath - Path within the package's assets directory
+ * @returns {string} Asset URL
+ */
+export function assetUrl({ slug, version = "1.0.0" }, assetPath) {
+  const url = `/plugin-assets/${encodeURIComponent(`${slug}@${version}`)}/${assetPath.replace(/^\/+/, "")}`;
+  return globalThis.location ? new URL(url, globalThis.location.href).toString() : url;
+}
@@ -0,0 +1,63 @@
+/**
+ * PWD Application shaping
+ *
+ * Token and user shaping shared by every version of the pwd-application
+ * plugin. Plugin modules are imported through content-hashed URLs, so one
+ * plugin importing another gets a separate copy that hot reload never
+ * updates; code shared between plugin versions lives here instead.
+ */
+import {
+  buildHeaders,
+  buildUser,
+  tokenPayload,
+  DEFAULT_USER_FIELDS,
+} from "./plugin-sdk.js";
+
+/** Simulated access-token claims when IdP does not yet map address / birthdate. Real JWT payload fields win on merge. */
+const SIMULATED_TOKEN_CLAIMS = {
+  birthdate: "1985-06-15",
+  address: {
+    street_address: "123 Demo Street",
+    postal_code: "V8W 9A1",
+  },
+};
+
+/**
+ * Build the headers, token and user the PWD application form expects.
+ *
+ * @param {Object} request - Request context passed to register()
+ * @returns {{ headers: Object, token: Object, user: Object }}
+ */
+export function buildPwdConfig(request) {
+  const bearerToken = request?.bearerToken || "";
+  const shapedToken = mergeAccessTokenShape(tokenPayload(request), bearerToken);
+
+  return {
+    headers: buildHeaders(request),
+    token: shapedToken,
+    user: buildUser(shapedToken, {
+      fields: [...DEFAULT_USER_FIELDS, "birthdate", "address"],
+    }),
+  };
+}
+
+function mergeAccessTokenShape(basePayload, bearerToken) {
+  const sim = SIMULATED_TOKEN_CLAIMS;
+  if (!basePayload && !bearerToken) {
+    return { ...sim };
+  }
+  if (!basePayload && bearerToken) {
+    return { ...sim, bearer: bearerToken };
+  }
+  return {
+    ...sim,
+    ...basePayload,
+    address: {
+      ...sim.address,
+      ...(basePayload.address && typeof basePayload.address === "object"
+        ? basePayload.address
+        : {}),
+    },
+    birthdate: basePayload.birthdate ?? sim.birthdate,
+  };
+}
@@ -21,6 +21,8 @@ export class UserTokenRefresh {
    * @param {HTMLElement} viewer - The chefs-form-viewer element
    * @param {Object} options - Configuration options
    * @param {string} options.pluginId - The plugin's slug identifier (required)
+   * @param {string} [options.pluginVersion] - The plugin version (defaults to the plugin's default version)
+   * @param {string|null} [options.environment] - CHEFS environment the embed runs in (defaults to the active one)
    * @param {string} [options.initialToken] - Initial bearer token to set up refresh scheduling
    * @param {string} [options.refreshUrl="/auth/refresh-token"] - Endpoint to call for refresh
    * @param {number} [options.buffer=60] - Seconds before expiry to trigger refresh
@@ -30,6 +32,8 @@ export class UserTokenRefresh {
   constructor(viewer, options = {}) {
     this.viewer = viewer;
     this.pluginId = options.pluginId;
+    this.pluginVersion = options.pluginVersion || null;
+    this.environment = options.environment || null;
     this.initialToken = options.initialToken || null;
     this.refreshUrl = options.refreshUrl || "/auth/refresh-token";
     this.buffer = options.buffer || 60;
@@ -102,7 +106,11 @@ export class UserTokenRefresh {
         method: "POST",
         credentials: "include",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ pluginId: this.pluginId }),
+        body: JSON.stringify({
+          pluginId: this.pluginId,
+          pluginVersion: this.pluginVersion,
+          environment: this.environment,
+        }),
       });
 
       if (!response.ok) {
@@ -156,6 +164,8 @@ export class UserTokenRefresh {
  * @param {HTMLElement} viewer - The chefs-form-viewer element
  * @param {Object} [options] - Configuration options
  * @param {string} options.pluginId - The plugin's slug identifier (required)
+ * @param {string} [options.pluginVersion] - The plugin version (defaults to the plugin's default version)
+ * @param {string|null} [options.environment] - CHEFS environment the embed runs in (defaults to the active one)
  * @param {string} [options.initialToken] - Initial bearer token to set up refresh scheduling
  * @param {string} [options.refreshUrl="/auth/refresh-token"] - Endpoint to call for refresh
  * @param {number} [options.buffer=60] - Seconds before expiry to trigger refresh
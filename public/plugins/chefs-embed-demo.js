@@ -1,12 +1,32 @@
 // Demo plugin: shapes token/headers from raw request context and wires events
+import {
+  buildHeaders,
+  buildToken,
+  buildUser,
+  tokenPayload,
+  pickOptional,
+  defineHandlers,
+} from "../lib/plugin-sdk.js";
+
 export const manifest = {
   slug: "chefs-embed",
   name: "CHEFS Embed (Headers)",
   description:
     "Embed demo showing how to pass headers and call and external API with the headers.",
-  formId: "bcc7a548-1100-432d-82a3-5c0901574a0b",
-  apiKey: "83688c02-59d7-49fc-a25a-462895e37a13",
-  baseUrl: "https://chefs-dev.apps.silver.devops.gov.bc.ca/app",
+  schemaSnapshot: "chefs_embed_headers_schema.json",
+  // Shared secret reference; an environment may name its own apiKeyRef
+  apiKeyRef: "CHEFS_API_KEY_CHEFS_EMBED",
+  // CHEFS target per environment, selected with CHEFS_ENV (admins: ?env=)
+  environments: {
+    // No baseUrl: uses CHEFS_BASE_URL
+    dev: {
+      formId: "bcc7a548-1100-432d-82a3-5c0901574a0b",
+    },
+    local: {
+      baseUrl: "http://localhost:4444/app",
+      formId: "bcc7a548-1100-432d-82a3-5c0901574a0b",
+    },
+  },
   // Optional plugin-provided attributes (uncomment to use)
   // language: "en",
   // submissionId: "123",
@@ -31,98 +51,13 @@ export const manifest = {
 };
 
 export function register({ request }) {
-  const headers = request?.headers || {};
-  const bearerToken = request?.bearerToken || "";
-  const decoded = request?.decoded || {};
-
-  // Example shaping: forward a few headers and add bearer to Authorization
-  const shapedHeaders = {
-    ...(headers["x-tenant"] && { "x-tenant": headers["x-tenant"] }),
-    ...(bearerToken && { Authorization: `Bearer ${bearerToken}` }),
-  };
-
-  // Example token shape: prefer decoded access token payload, fall back to raw bearer
-  const shapedToken =
-    decoded?.accessToken?.payload ||
-    decoded?.idToken?.payload ||
-    (bearerToken ? { bearer: bearerToken } : null);
-
-  // Example user shape: derive from decoded payload
-  const payloadForUser =
-    decoded?.accessToken?.payload || decoded?.idToken?.payload || null;
-  const shapedUser = payloadForUser
-    ? {
-        sub: payloadForUser.sub,
-        given_name: payloadForUser.given_name,
-        family_name: payloadForUser.family_name,
-        email: payloadForUser.email,
-      }
-    : null;
-
-  const optionalConfig = pickOptional(manifest, [
-    "language",
-    "submissionId",
-    "readOnly",
-    "noShadow",
-    "debug",
-    "isolateStyles",
-    "noIcons",
-    "submitButtonKey",
-    "printButtonKey",
-    "printEventName",
-    "autoReloadOnSubmit",
-    "themeCss",
-  ]);
-
   return {
     config: {
-      headers: shapedHeaders,
-      token: shapedToken,
-      user: shapedUser,
-      ...optionalConfig,
+      headers: buildHeaders(request),
+      token: buildToken(request),
+      user: buildUser(tokenPayload(request)),
+      ...pickOptional(manifest),
     },
-    handlers: {
-      "formio:beforeLoad": logEvent("beforeLoad"),
-      "formio:beforeLoadSchema": logEvent("beforeLoadSchema"),
-      "formio:loadSchema": logEvent("loadSchema"),
-      "formio:beforeInit": logEvent("beforeInit"),
-      "formio:ready": logEvent("ready"),
-      "formio:render": logEvent("render"),
-      "formio:change": logEvent("change"),
-      "formio:beforeSubmit": logEvent("beforeSubmit"),
-      "formio:submit": logEvent("submit"),
-      "formio:submitDone": logEvent("submitDone"),
-      "formio:beforeAutoReload": logEvent("beforeAutoReload"),
-      "formio:autoReload": logEvent("autoReload"),
-      "formio:autoReloadComplete": logEvent("autoReloadComplete"),
-      "formio:beforeNext": logEvent("beforeNext"),
-      "formio:beforePrev": logEvent("beforePrev"),
-      "formio:authTokenRefreshed": logEvent("authTokenRefreshed"),
-      "formio:beforeFileUpload": logEvent("beforeFileUpload"),
-      "formio:beforeFileDownload": logEvent("beforeFileDownload"),
-      "formio:beforeFileDelete": logEvent("beforeFileDelete"),
-      "formio:error": logEvent("error", true),
-    },
-  };
-}
-
-function logEvent(name, isError = false) {
-  return ({ event }) => {
-    const prefix = "[demo-plugin]";
-    const payload = event?.detail;
-    if (isError) {
-      console.error(`${prefix} ${name}`, payload);
-    } else {
-      console.log(`${prefix} ${name}`, payload);
-    }
+    handlers: defineHandlers({ prefix: "[demo-plugin]" }),
   };
 }
-
-function pickOptional(source, keys) {
-  return keys.reduce((acc, key) => {
-    if (Object.prototype.hasOwnProperty.call(source, key)) {
-      acc[key] = source[key];
-    }
-    return acc;
-  }, {});
-}
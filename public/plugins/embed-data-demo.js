@@ -9,14 +9,24 @@
  *   - Default values: `value = host.defaults?.region || 'BC'`
  *   - Custom JavaScript: `if (host.permissions?.canEdit) { ... }`
  */
+import {
+  buildHeaders,
+  buildToken,
+  buildUser,
+  tokenPayload,
+  pickOptional,
+  defineHandlers,
+  LIFECYCLE_EVENTS,
+} from "../lib/plugin-sdk.js";
+
 export const manifest = {
   slug: "embed-data-demo",
   name: "Embed Data Demo",
   description:
     "Embed demo showing how to pass data to `hostData`.",
   formId: "79cfc247-51a4-4684-aac0-dc5b1689ef87",
-  apiKey: "5de336be-fd1e-400a-be5a-e225b721c91a",
-  baseUrl: "https://chefs-dev.apps.silver.devops.gov.bc.ca/app",
+  schemaSnapshot: "embed_data_demo_schema.json",
+  apiKeyRef: "CHEFS_API_KEY_EMBED_DATA_DEMO",
   debug: true,
 
   // Host data configuration - this data will be passed to Form.io evalContext as `host`
@@ -57,67 +67,20 @@ export const manifest = {
 };
 
 export function register({ request }) {
-  const headers = request?.headers || {};
-  const bearerToken = request?.bearerToken || "";
-  const decoded = request?.decoded || {};
-
-  // Example shaping: forward a few headers and add bearer to Authorization
-  const shapedHeaders = {
-    ...(headers["x-tenant"] && { "x-tenant": headers["x-tenant"] }),
-    ...(bearerToken && { Authorization: `Bearer ${bearerToken}` }),
-  };
-
-  // Example token shape: prefer decoded access token payload, fall back to raw bearer
-  const shapedToken =
-    decoded?.accessToken?.payload ||
-    decoded?.idToken?.payload ||
-    (bearerToken ? { bearer: bearerToken } : null);
-
-  // Example user shape: derive from decoded payload
-  const payloadForUser =
-    decoded?.accessToken?.payload || decoded?.idToken?.payload || null;
-  const shapedUser = payloadForUser
-    ? {
-        sub: payloadForUser.sub,
-        given_name: payloadForUser.given_name,
-        family_name: payloadForUser.family_name,
-        email: payloadForUser.email,
-      }
-    : null;
-
   return {
     config: {
-      headers: shapedHeaders,
-      token: shapedToken,
-      user: shapedUser,
-      debug: manifest.debug,
-      // Pass hostData from manifest - this becomes available as `host` in Form.io evalContext
+      headers: buildHeaders(request),
+      token: buildToken(request),
+      user: buildUser(tokenPayload(request)),
+      // Includes hostData from the manifest - this becomes available as `host` in Form.io evalContext
       // Form components can access: host.lookup, host.config, host.permissions, host.context
-      hostData: manifest.hostData,
-    },
-    handlers: {
-      "formio:beforeLoad": logEvent("beforeLoad"),
-      "formio:beforeLoadSchema": logEvent("beforeLoadSchema"),
-      "formio:loadSchema": logEvent("loadSchema"),
-      "formio:beforeInit": logEvent("beforeInit"),
-      "formio:ready": onFormReady,
-      "formio:render": logEvent("render"),
-      "formio:change": logEvent("change"),
-      "formio:beforeSubmit": logEvent("beforeSubmit"),
-      "formio:submit": logEvent("submit"),
-      "formio:submitDone": logEvent("submitDone"),
-      "formio:beforeAutoReload": logEvent("beforeAutoReload"),
-      "formio:autoReload": logEvent("autoReload"),
-      "formio:autoReloadComplete": logEvent("autoReloadComplete"),
-      "formio:beforeNext": logEvent("beforeNext"),
-      "formio:beforePrev": logEvent("beforePrev"),
-      "formio:authTokenRefreshed": logEvent("authTokenRefreshed"),
-      "formio:hostDataChanged": logEvent("hostDataChanged"),
-      "formio:beforeFileUpload": logEvent("beforeFileUpload"),
-      "formio:beforeFileDownload": logEvent("beforeFileDownload"),
-      "formio:beforeFileDelete": logEvent("beforeFileDelete"),
-      "formio:error": logEvent("error", true),
+      ...pickOptional(manifest),
     },
+    handlers: defineHandlers({
+      prefix: "[embed-data-demo]",
+      log: [...LIFECYCLE_EVENTS, "formio:hostDataChanged"],
+      on: { "formio:ready": onFormReady },
+    }),
   };
 }
 
@@ -147,15 +110,3 @@ function onFormReady({ event, viewer }) {
   // Example: How to completely replace hostData (not recommended, but possible)
   // viewer.setHostData({ freshData: {...} }, { replace: true });
 }
-
-function logEvent(name, isError = false) {
-  return ({ event }) => {
-    const prefix = "[embed-data-demo]";
-    const payload = event?.detail;
-    if (isError) {
-      console.error(`${prefix} ${name}`, payload);
-    } else {
-      console.log(`${prefix} ${name}`, payload);
-    }
-  };
-}
@@ -0,0 +1,23 @@
+/**
+ * Server-side hook for embed-data-demo, awaited by the host before the embed
+ * page renders. Server-only: the plugin routes never serve *.server.js
+ * modules, so this file may use Node APIs and server-side logic.
+ *
+ * Derives permissions from the user's Keycloak realm roles instead of the
+ * hard-coded manifest values; the result is shallow-merged over hostData.
+ */
+export async function serverRegister({ decodedTokens }) {
+  const roles = decodedTokens?.accessToken?.payload?.realm_access?.roles || [];
+  const isApprover = roles.includes("approver");
+
+  return {
+    hostData: {
+      permissions: {
+        canEdit: true,
+        canDelete: isApprover,
+        canApprove: isApprover,
+      },
+    },
+  };
+}
+
@@ -0,0 +1,26 @@
+// PWD Application v2 — targets the next CHEFS form version, launched side by side with v1
+import { pickOptional, defineHandlers } from "../lib/plugin-sdk.js";
+import { buildPwdConfig } from "../lib/pwd-application.js";
+
+export const manifest = {
+  slug: "pwd-application",
+  name: "PWD Application",
+  description: "Embedded form for the PWD application (preview of form version 4).",
+  version: "2.0.0-rc.1",
+  formId: "f705749a-c2c5-4324-961b-4ac96c8a357f",
+  formVersion: 4,
+  schemaSnapshot: "pwd_application_schema_version_4_unpublished.json",
+  apiKeyRef: "CHEFS_API_KEY_PWD_APPLICATION",
+  language: "en",
+};
+
+export function register({ request }) {
+  // Same token/user shaping as v1; only the optional attributes and logging differ
+  return {
+    config: {
+      ...buildPwdConfig(request),
+      ...pickOptional(manifest),
+    },
+    handlers: defineHandlers({ prefix: "[pwd-application@2]" }),
+  };
+}
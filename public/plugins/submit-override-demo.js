@@ -18,16 +18,28 @@
  * - Queue submissions for batch processing
  * - Integrate with host application's workflow system
  */
+import {
+  buildHeaders,
+  buildToken,
+  buildUser,
+  tokenPayload,
+  pickOptional,
+  defineHandlers,
+} from "../lib/plugin-sdk.js";
+
 export const manifest = {
   slug: "submit-override-demo",
   name: "Submit Override Demo",
   description:
     "Demonstrates using submit-mode='host' to handle submissions in the host application.",
   formId: "74446f66-5b6b-4207-8bf0-61f5e366f31c",
-  apiKey: "4824e7b7-a1dc-406a-a545-0aebbb323979",
-  baseUrl: "https://chefs-dev.apps.silver.devops.gov.bc.ca/app",
+  schemaSnapshot: "submit_override_demo_schema.json",
+  apiKeyRef: "CHEFS_API_KEY_SUBMIT_OVERRIDE_DEMO",
   debug: true,
 
+  // KEY: Set submit-mode to "host" - this routes submissions to formio:hostSubmit
+  submitMode: "host",
+
   // Host data to pass to the form
   hostData: {
     config: {
@@ -43,52 +55,30 @@ export const manifest = {
 };
 
 export function register({ request }) {
-  const headers = request?.headers || {};
-  const bearerToken = request?.bearerToken || "";
-  const decoded = request?.decoded || {};
-
-  const shapedHeaders = {
-    ...(headers["x-tenant"] && { "x-tenant": headers["x-tenant"] }),
-    ...(bearerToken && { Authorization: `Bearer ${bearerToken}` }),
-  };
-
-  const shapedToken =
-    decoded?.accessToken?.payload ||
-    decoded?.idToken?.payload ||
-    (bearerToken ? { bearer: bearerToken } : null);
-
-  const payloadForUser =
-    decoded?.accessToken?.payload || decoded?.idToken?.payload || null;
-  const shapedUser = payloadForUser
-    ? {
-        sub: payloadForUser.sub,
-        given_name: payloadForUser.given_name,
-        family_name: payloadForUser.family_name,
-        email: payloadForUser.email,
-      }
-    : null;
-
   return {
     config: {
-      headers: shapedHeaders,
-      token: shapedToken,
-      user: shapedUser,
-      debug: manifest.debug,
-      hostData: manifest.hostData,
-      // KEY: Set submit-mode to "host" - this routes submissions to formio:hostSubmit
-      submitMode: "host",
-    },
-    handlers: {
-      "formio:beforeLoad": logEvent("beforeLoad"),
-      "formio:loadSchema": logEvent("loadSchema"),
-      "formio:beforeInit": logEvent("beforeInit"),
-      "formio:ready": onFormReady,
-      "formio:render": logEvent("render"),
-      "formio:change": logEvent("change"),
-      // KEY: This is where we handle the submission data (submit-mode="host")
-      "formio:hostSubmit": onHostSubmit,
-      "formio:error": logEvent("error", true),
+      headers: buildHeaders(request),
+      token: buildToken(request),
+      user: buildUser(tokenPayload(request)),
+      // Includes submitMode: "host" and hostData from the manifest
+      ...pickOptional(manifest),
     },
+    handlers: defineHandlers({
+      prefix: "[submit-override-demo]",
+      log: [
+        "formio:beforeLoad",
+        "formio:loadSchema",
+        "formio:beforeInit",
+        "formio:render",
+        "formio:change",
+        "formio:error",
+      ],
+      on: {
+        "formio:ready": onFormReady,
+        // KEY: This is where we handle the submission data (submit-mode="host")
+        "formio:hostSubmit": onHostSubmit,
+      },
+    }),
   };
 }
 
@@ -161,15 +151,3 @@ function onFormReady({ event }) {
   console.log(`${prefix} ready`, event?.detail);
   console.log(`${prefix} Using submit-mode="host" - submissions go to formio:hostSubmit event`);
 }
-
-function logEvent(name, isError = false) {
-  return ({ event }) => {
-    const prefix = "[submit-override-demo]";
-    const payload = event?.detail;
-    if (isError) {
-      console.error(`${prefix} ${name}`, payload);
-    } else {
-      console.log(`${prefix} ${name}`, payload);
-    }
-  };
-}
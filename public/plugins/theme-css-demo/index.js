@@ -0,0 +1,66 @@
+// Demo plugin package that ships a customer-owned theme stylesheet and proves it loads.
+// The stylesheet lives in ./assets and is served at /plugin-assets/chefs-theme-demo@1.0.0/.
+import {
+  buildHeaders,
+  buildToken,
+  buildUser,
+  tokenPayload,
+  pickOptional,
+  defineHandlers,
+  assetUrl,
+} from "../../lib/plugin-sdk.js";
+
+const SLUG = "chefs-theme-demo";
+const VERSION = "1.0.0";
+
+export const manifest = {
+  slug: SLUG,
+  version: VERSION,
+  name: "Theme CSS Demo",
+  description:
+    "Shows how a client bundles a theme CSS with their plugin and lets the web component load it.",
+  formId: "bcc7a548-1100-432d-82a3-5c0901574a0b",
+  apiKeyRef: "CHEFS_API_KEY_CHEFS_THEME_DEMO",
+  // Theme stylesheet bundled in this package's assets directory
+  themeCss: assetUrl({ slug: SLUG, version: VERSION }, "theme.css"),
+  // Optional plugin-provided attributes (uncomment to use)
+  // language: "en",
+  // submissionId: "123",
+  // readOnly: true,
+  // noShadow: true,
+  // debug: true,
+  // isolateStyles: true,
+  // noIcons: true,
+  // submitButtonKey: "submit",
+  // printButtonKey: "print",
+  // printEventName: "printDocument",
+  // autoReloadOnSubmit: false,
+};
+
+export function register({ request }) {
+  return {
+    config: {
+      headers: buildHeaders(request),
+      token: buildToken(request),
+      user: buildUser(tokenPayload(request)),
+      ...pickOptional(manifest),
+    },
+    handlers: defineHandlers({
+      prefix: "[theme-demo]",
+      log: ["formio:ready", "formio:render", "formio:change"],
+      on: { "formio:assetStateChange": logThemeAsset(manifest.themeCss) },
+    }),
+  };
+}
+
+function logThemeAsset(themeUrl) {
+  return ({ event }) => {
+    const assets = event?.detail?.assets || [];
+    if (assets.includes("theme-css")) {
+      console.info(
+        "[theme-demo] theme stylesheet loaded by web component",
+        themeUrl
+      );
+    }
+  };
+}
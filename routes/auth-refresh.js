@@ -7,10 +7,26 @@
  * from the plugin registry.
  *
  * If a plugin does not have OIDC configuration, token refresh is disabled
- * for that plugin (no fallback to host config).
+ * for that plugin (no fallback to host config). As with /auth/chefs-token,
+ * the user must be allowed to launch the plugin, and only administrators may
+ * name an environment other than the active one.
+ *
+ * The refresh itself (including verifying the new access token against the
+ * issuer's JWKS before it replaces the one in the session) is shared with
+ * the server-side refresh in requireAuth (see utils/oidc-refresh.js).
+ * Concurrent calls from several tabs or embeds of one session share a
+ * single refresh, and the session is saved before the response is sent.
  */
 const express = require("express");
-const { getPluginOidcConfig } = require("../utils/plugin-registry");
+const { getPlugin, getPluginOidcConfig } = require("../utils/plugin-registry");
+const { evaluatePluginAccess } = require("../utils/plugin-access");
+const {
+  selectEnvironment,
+  getPluginTarget,
+} = require("../utils/plugin-environment");
+const { JwtVerificationError } = require("../utils/jwt-verify");
+const { refreshSessionTokens, TokenRefreshError } = require("../utils/oidc-refresh");
+const { requireApiAuth } = require("../utils/require-auth");
 
 const router = express.Router();
 
@@ -20,67 +36,72 @@ const router = express.Router();
  * Refreshes the user's access token using the stored refresh token.
  * Looks up OIDC configuration from the plugin registry based on pluginId.
  *
- * Request body: { pluginId: string }
+ * Request body: { pluginId: string, pluginVersion?: string, environment?: string }
  * Response: { accessToken, expiresAt, payload }
  */
-router.post("/refresh-token", async (req, res) => {
-  if (!req.isAuthenticated()) {
-    return res.status(401).json({ error: "Not authenticated" });
-  }
-
-  const { pluginId } = req.body || {};
+router.post("/refresh-token", requireApiAuth, async (req, res) => {
+  const { pluginId, pluginVersion, environment } = req.body || {};
   if (!pluginId) {
     return res.status(400).json({ error: "pluginId is required" });
   }
 
-  const oidc = getPluginOidcConfig(pluginId);
-  if (!oidc) {
-    return res.status(400).json({
-      error: `Plugin "${pluginId}" does not have token refresh configured`,
-    });
+  const plugin = getPlugin(pluginId, pluginVersion);
+  if (!plugin) {
+    return res.status(404).json({ error: `Plugin "${pluginId}" not found` });
   }
 
-  const refreshToken = req.user?.refreshToken;
-  if (!refreshToken) {
-    return res.status(401).json({ error: "No refresh token available" });
+  const decodedTokens = req.verifiedTokens;
+  const access = evaluatePluginAccess(plugin, decodedTokens);
+  if (!access.allowed) {
+    console.warn(
+      `[access] ${req.user.username} denied token refresh for "${plugin.slug}": ${access.reason}`,
+    );
+    return res
+      .status(403)
+      .json({ error: `Access to plugin "${pluginId}" denied` });
   }
 
-  try {
-    const tokenResponse = await fetch(oidc.tokenEndpoint, {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body: new URLSearchParams({
-        grant_type: "refresh_token",
-        client_id: oidc.clientId,
-        refresh_token: refreshToken,
-      }),
+  const selection = selectEnvironment(environment, decodedTokens);
+  if (!selection.allowed) {
+    return res
+      .status(403)
+      .json({ error: "Only administrators can choose the CHEFS environment" });
+  }
+  if (!getPluginTarget(plugin, selection.environment)) {
+    return res.status(404).json({
+      error: `Plugin "${pluginId}" is not available in the ${selection.environment} environment`,
     });
+  }
 
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      console.error("Token refresh failed:", errorText);
-      return res.status(401).json({ error: "Token refresh failed" });
-    }
-
-    const tokens = await tokenResponse.json();
-
-    // Update session with new tokens
-    req.user.accessToken = tokens.access_token;
-    if (tokens.refresh_token) {
-      // OIDC providers may rotate refresh tokens
-      req.user.refreshToken = tokens.refresh_token;
-    }
+  const oidc = getPluginOidcConfig(plugin.slug, plugin.version);
+  if (!oidc) {
+    return res.status(400).json({
+      error: `Plugin "${pluginId}" does not have token refresh configured`,
+    });
+  }
 
-    // Decode the new access token to extract expiry and payload
-    const [, payloadB64] = tokens.access_token.split(".");
-    const payload = JSON.parse(Buffer.from(payloadB64, "base64url").toString());
+  try {
+    const { accessToken } = await refreshSessionTokens(req, oidc);
+    const { payload } = accessToken;
 
     res.json({
-      accessToken: tokens.access_token,
+      accessToken: req.user.accessToken,
       expiresAt: payload.exp,
       payload,
     });
   } catch (err) {
+    if (err.code === "no_refresh_token") {
+      return res.status(401).json({ error: "No refresh token available" });
+    }
+    if (err instanceof TokenRefreshError || err instanceof JwtVerificationError) {
+      console.error(`Token refresh failed (${err.code}):`, err.message);
+      const unavailable = ["unavailable", "jwks_unavailable", "invalid_response"].includes(
+        err.code,
+      );
+      return res
+        .status(unavailable ? 503 : 401)
+        .json({ error: "Token refresh failed" });
+    }
     console.error("Token refresh error:", err);
     res.status(500).json({ error: "Internal error during token refresh" });
   }
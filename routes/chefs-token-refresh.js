@@ -0,0 +1,83 @@
+/**
+ * CHEFS Auth Token Refresh Route
+ *
+ * Issues a fresh CHEFS gateway token (the viewer's `auth-token`) for a
+ * plugin, so embeds that stay open longer than the token lifetime can still
+ * submit. The API key stays server-side; the user must be allowed to launch
+ * the plugin, and only administrators may ask for a token in an environment
+ * other than the active one.
+ */
+const express = require("express");
+const { getPlugin } = require("../utils/plugin-registry");
+const { evaluatePluginAccess } = require("../utils/plugin-access");
+const { preparePluginToken } = require("../utils/plugin-embed");
+const {
+  selectEnvironment,
+  getPluginTarget,
+} = require("../utils/plugin-environment");
+const { ChefsGatewayError } = require("../utils/chefs-errors");
+const { requireApiAuth } = require("../utils/require-auth");
+
+const router = express.Router();
+
+/**
+ * POST /auth/chefs-token
+ *
+ * Request body: { pluginId: string, pluginVersion?: string, environment?: string }
+ * Response: { authToken, expiresAt }
+ */
+router.post("/chefs-token", requireApiAuth, async (req, res) => {
+  const { pluginId, pluginVersion, environment } = req.body || {};
+  if (!pluginId) {
+    return res.status(400).json({ error: "pluginId is required" });
+  }
+
+  const plugin = getPlugin(pluginId, pluginVersion);
+  if (!plugin) {
+    return res.status(404).json({ error: `Plugin "${pluginId}" not found` });
+  }
+
+  const decodedTokens = req.verifiedTokens;
+  const access = evaluatePluginAccess(plugin, decodedTokens);
+  if (!access.allowed) {
+    console.warn(
+      `[access] ${req.user.username} denied CHEFS token for "${plugin.slug}": ${access.reason}`,
+    );
+    return res
+      .status(403)
+      .json({ error: `Access to plugin "${pluginId}" denied` });
+  }
+
+  const selection = selectEnvironment(environment, decodedTokens);
+  if (!selection.allowed) {
+    return res
+      .status(403)
+      .json({ error: "Only administrators can choose the CHEFS environment" });
+  }
+  const target = getPluginTarget(plugin, selection.environment);
+  if (!target) {
+    return res.status(404).json({
+      error: `Plugin "${pluginId}" is not available in the ${selection.environment} environment`,
+    });
+  }
+
+  try {
+    // The browser asks shortly before its token expires, and the cached
+    // token may be that same one, so always fetch a new token
+    const { authToken, authTokenExpiresAt } = await preparePluginToken(
+      plugin,
+      target,
+      { forceRefresh: true },
+    );
+    res.json({ authToken, expiresAt: authTokenExpiresAt });
+  } catch (err) {
+    console.error("CHEFS token refresh error:", err);
+    if (err instanceof ChefsGatewayError) {
+      if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+      return res.status(err.statusCode).json({ error: err.userMessage });
+    }
+    res.status(500).json({ error: "Internal error during CHEFS token refresh" });
+  }
+});
+
+module.exports = router;
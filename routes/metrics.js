@@ -0,0 +1,36 @@
+/**
+ * Metrics Route
+ *
+ * Authenticated JSON snapshot of in-process counters, for checking how the
+ * CHEFS gateway token cache, the per-instance circuit breakers and the
+ * Keycloak JWKS cache are doing.
+ */
+const express = require("express");
+const { getTokenCacheStats } = require("../utils/chefs-token-cache");
+const { getCircuitBreakerStats } = require("../utils/chefs-http");
+const { getJwksStats } = require("../utils/jwt-verify");
+
+const router = express.Router();
+
+/**
+ * GET /metrics
+ *
+ * Response: {
+ *   chefsTokenCache: { hits, misses, coalesced, refreshes, errors, size, hitRatio },
+ *   chefsCircuitBreakers: { [baseUrl]: { state, failures, openedAt } },
+ *   jwks: { fetches, errors, verified, rejected, keys, fetchedAt }
+ * }
+ */
+router.get("/", (req, res) => {
+  if (!req.isAuthenticated()) {
+    return res.status(401).json({ error: "Not authenticated" });
+  }
+
+  res.json({
+    chefsTokenCache: getTokenCacheStats(),
+    chefsCircuitBreakers: getCircuitBreakerStats(),
+    jwks: getJwksStats(),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+/**
+ * Keycloak-initiated Logout Routes
+ *
+ * Called by Keycloak (back-channel) or by the browser from Keycloak's logout
+ * page (front-channel) when a user's Keycloak session ends outside this app,
+ * so the matching sessions here stop using their cached tokens. Neither
+ * route needs the caller to be logged in here; see utils/oidc-logout.js.
+ *
+ * Configure the URLs on the Keycloak client:
+ *   Backchannel logout URL:   <app>/auth/backchannel-logout
+ *   Front-channel logout URL: <app>/auth/frontchannel-logout
+ */
+const express = require("express");
+const config = require("../config");
+const { JwtVerificationError } = require("../utils/jwt-verify");
+const { endSessions, handleBackchannelLogout } = require("../utils/oidc-logout");
+
+const router = express.Router();
+
+/**
+ * POST /auth/backchannel-logout
+ *
+ * Request body (form-encoded): { logout_token }
+ * Response: 200 (empty) once the matching sessions are destroyed
+ */
+router.post("/backchannel-logout", async (req, res) => {
+  res.set("Cache-Control", "no-store");
+
+  const token = req.body?.logout_token;
+  if (typeof token !== "string" || !token) {
+    return res.status(400).json({ error: "logout_token is required" });
+  }
+
+  try {
+    const { claims, ended } = await handleBackchannelLogout(req.sessionStore, token);
+    console.log(
+      `[logout] Back-channel logout ended ${ended} session(s) (sid ${claims.sid || "-"}, sub ${claims.sub || "-"})`,
+    );
+    res.status(200).end();
+  } catch (err) {
+    if (err instanceof JwtVerificationError) {
+      console.warn(`[logout] Rejected back-channel logout token (${err.code}): ${err.message}`);
+      if (err.code === "jwks_unavailable") {
+        return res.status(503).json({ error: "Logout token could not be verified" });
+      }
+      return res.status(400).json({ error: "Invalid logout token" });
+    }
+    console.error("[logout] Back-channel logout failed:", err);
+    res.status(500).json({ error: "Sessions could not be ended" });
+  }
+});
+
+/**
+ * GET /auth/frontchannel-logout?iss=&sid=
+ *
+ * Loaded in an iframe. Both parameters are required (enable "Front-channel
+ * logout session required" on the client): every session of that Keycloak
+ * session is destroyed. A request without them does nothing, so another
+ * site cannot log users out by embedding the URL.
+ */
+router.get("/frontchannel-logout", async (req, res) => {
+  res.set("Cache-Control", "no-store");
+
+  const iss = typeof req.query.iss === "string" ? req.query.iss : null;
+  const sid = typeof req.query.sid === "string" ? req.query.sid : null;
+  if (!sid || iss !== config.keycloak.issuer) {
+    return res.status(400).type("text").send("Invalid logout request");
+  }
+
+  try {
+    const ended = await endSessions(req.sessionStore, { sid });
+    console.log(`[logout] Front-channel logout ended ${ended} session(s) (sid ${sid})`);
+    res.type("text").send("Logged out");
+  } catch (err) {
+    console.error("[logout] Front-channel logout failed:", err);
+    res.status(500).type("text").send("Logout failed");
+  }
+});
+
+module.exports = router;
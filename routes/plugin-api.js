@@ -0,0 +1,86 @@
+/**
+ * Plugin Catalogue API
+ *
+ * Authenticated JSON endpoints for discovering plugins, so portals and other
+ * tooling can build their own launchers instead of scraping the HTML
+ * directory. Only public manifests are returned (no secrets or server-only
+ * fields), and only for plugins the user is allowed to launch.
+ */
+const express = require("express");
+const {
+  getPlugin,
+  findPlugins,
+  toPublicManifest,
+  PLUGIN_CAPABILITIES,
+} = require("../utils/plugin-registry");
+const { canAccessPlugin } = require("../utils/plugin-access");
+const { requireApiAuth } = require("../utils/require-auth");
+
+const router = express.Router();
+
+// Plugin access is decided from the verified access token's roles
+router.use(requireApiAuth);
+
+/**
+ * GET /api/plugins
+ *
+ * Query:
+ * - capability: comma-separated capability names the plugin must all have
+ *   (tokenRefresh, hostData, submitModeHost, themeCss); may be repeated
+ * - q: free-text search over slug, name and description
+ *
+ * Response: { plugins: Array<Object>, count: number }
+ */
+router.get("/", (req, res) => {
+  const capabilities = []
+    .concat(req.query.capability || [])
+    .flatMap((value) => String(value).split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+  const unknown = capabilities.filter((name) => !PLUGIN_CAPABILITIES[name]);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown capability: ${unknown.join(", ")}`,
+      capabilities: Object.keys(PLUGIN_CAPABILITIES),
+    });
+  }
+
+  const decodedTokens = req.verifiedTokens;
+  const plugins = findPlugins({
+    capabilities,
+    search: typeof req.query.q === "string" ? req.query.q : "",
+  })
+    .filter((plugin) => canAccessPlugin(plugin, decodedTokens))
+    .map(toPublicManifest);
+
+  res.json({ plugins, count: plugins.length });
+});
+
+/**
+ * GET /api/plugins/:slug
+ *
+ * Query:
+ * - version: a specific plugin version (default: the plugin's default version)
+ *
+ * Response: the plugin's public manifest
+ */
+router.get("/:slug", (req, res) => {
+  const version = typeof req.query.version === "string" ? req.query.version : undefined;
+  const plugin = getPlugin(req.params.slug, version);
+  if (!plugin) {
+    return res.status(404).json({
+      error: version
+        ? `Plugin "${req.params.slug}" version ${version} not found`
+        : `Plugin "${req.params.slug}" not found`,
+    });
+  }
+  if (!canAccessPlugin(plugin, req.verifiedTokens)) {
+    return res
+      .status(403)
+      .json({ error: `Access to plugin "${req.params.slug}" denied` });
+  }
+  res.json(toPublicManifest(plugin));
+});
+
+module.exports = router;
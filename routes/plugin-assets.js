@@ -0,0 +1,56 @@
+/**
+ * Plugin Assets Route
+ *
+ * Serves the bundled assets (CSS, images, translations) of folder-based
+ * plugin packages under a stable per-plugin URL that does not depend on the
+ * package's directory layout:
+ *
+ *   /plugin-assets/<slug>@<version>/<path within the package's assets directory>
+ *   /plugin-assets/<slug>/<path>   (the default version of the plugin)
+ *
+ * Each version serves its own assets directory; the SDK's assetUrl() and the
+ * registry's `assetsPath` always include the version.
+ *
+ * Assets of a plugin with `access` rules are only served to users who may
+ * launch it.
+ */
+const express = require("express");
+const { getPlugin } = require("../utils/plugin-registry");
+const { canLoadPluginFiles } = require("../utils/plugin-access");
+
+const router = express.Router();
+
+/**
+ * GET /plugin-assets/:slug@:version/*
+ * GET /plugin-assets/:slug/*
+ */
+router.get("/:slug/*", async (req, res, next) => {
+  const [slug, version] = req.params.slug.split("@", 2);
+  const plugin = getPlugin(slug, version);
+  if (!plugin?.assetsDir) {
+    return res.status(404).send("Not found");
+  }
+  try {
+    if (!(await canLoadPluginFiles(req, plugin))) {
+      return res.status(403).send("Forbidden");
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  // `root` confines the lookup to the assets directory (no path traversal)
+  res.sendFile(
+    req.params[0],
+    { root: plugin.assetsDir, dotfiles: "deny", maxAge: 0 },
+    (err) => {
+      if (err) {
+        if (err.statusCode === 404 || err.code === "ENOENT") {
+          return res.status(404).send("Not found");
+        }
+        next(err);
+      }
+    },
+  );
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+/**
+ * Plugin Events Route
+ *
+ * Server-sent events stream that tells open embed pages when their plugin
+ * was hot-reloaded (added, updated or removed) by the plugin registry.
+ * Only changes to plugins the user may launch are sent.
+ *
+ * A stream ends when the access token it was opened with expires. The
+ * browser then reconnects, which refreshes the token or, once the session
+ * has ended, is answered with 401 and the page stops listening.
+ */
+const express = require("express");
+const {
+  registryEvents,
+  getPlugin,
+  getAllPluginVersions,
+} = require("../utils/plugin-registry");
+const { canAccessPlugin } = require("../utils/plugin-access");
+const { requireApiAuth } = require("../utils/require-auth");
+
+const router = express.Router();
+
+const KEEP_ALIVE_MS = 30 * 1000;
+
+/**
+ * GET /chefs-embed-plugin/events?plugin=<slug>&version=<version>
+ *
+ * Streams `plugin-change` events ({ type, slug, version, revision }). When
+ * `plugin` is given, only changes to that plugin are sent; `version` narrows
+ * them further to one version.
+ */
+router.get("/events", requireApiAuth, (req, res) => {
+  const slug = req.query.plugin || null;
+  const version = req.query.version || null;
+  const decodedTokens = req.verifiedTokens;
+
+  // Plugin versions this user may see; a removal is only sent for one of them
+  const visible = new Set(
+    getAllPluginVersions()
+      .filter((plugin) => canAccessPlugin(plugin, decodedTokens))
+      .map((plugin) => plugin.key),
+  );
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const onChange = (change) => {
+    if (slug && change.slug !== slug) return;
+    if (version && change.version !== version) return;
+
+    const key = `${change.slug}@${change.version}`;
+    if (change.type === "removed") {
+      if (!visible.delete(key)) return;
+    } else {
+      const plugin = getPlugin(change.slug, change.version);
+      if (!plugin || !canAccessPlugin(plugin, decodedTokens)) {
+        visible.delete(key);
+        return;
+      }
+      visible.add(key);
+    }
+    res.write(`event: plugin-change\ndata: ${JSON.stringify(change)}\n\n`);
+  };
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), KEEP_ALIVE_MS);
+  const expiresAt = decodedTokens.accessToken.payload.exp * 1000;
+  const expiry = setTimeout(() => res.end(), Math.max(0, expiresAt - Date.now()));
+
+  registryEvents.on("change", onChange);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    clearTimeout(expiry);
+    registryEvents.off("change", onChange);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+/**
+ * Plugin Module Route
+ *
+ * Serves plugin modules from public/plugins (single files and package entry
+ * modules) to the browser. Manifests cannot hold secrets (a literal apiKey
+ * fails validation), so the source is served as written.
+ * Mounted at /plugins ahead of express.static so the raw files are never
+ * served directly. Non-JS assets (e.g. theme CSS) fall through to static.
+ * Server-only modules (`*.server.js`, holding serverRegister hooks) are
+ * never served. Only files of registered plugins are served, and a plugin
+ * with `access` rules only to users who may launch it.
+ */
+const path = require("path");
+const fs = require("fs/promises");
+const express = require("express");
+const { SERVER_MODULE_PATTERN } = require("../utils/plugin-manifest");
+const { getPluginForPath } = require("../utils/plugin-registry");
+const { canLoadPluginFiles } = require("../utils/plugin-access");
+
+const router = express.Router();
+
+const pluginsDir = path.join(__dirname, "..", "public", "plugins");
+
+// Checked for every file, before express.static could serve it
+router.use(async (req, res, next) => {
+  let requested;
+  try {
+    requested = decodeURIComponent(req.path);
+  } catch {
+    return res.status(400).send("Bad request");
+  }
+  const plugin = getPluginForPath(requested.replace(/^\/+/, ""));
+  if (!plugin || SERVER_MODULE_PATTERN.test(requested)) {
+    return res.status(404).send("Not found");
+  }
+
+  try {
+    if (!(await canLoadPluginFiles(req, plugin))) {
+      return res.status(403).send("Forbidden");
+    }
+  } catch (err) {
+    return next(err);
+  }
+  next();
+});
+
+/**
+ * GET /plugins/<file>.js and /plugins/<package>/<entry>.js
+ *
+ * Responds with the plugin module source.
+ */
+router.get(/^\/(.+\.js)$/, async (req, res, next) => {
+  const absPath = path.resolve(pluginsDir, req.params[0]);
+  if (!absPath.startsWith(pluginsDir + path.sep)) {
+    return next();
+  }
+
+  try {
+    const source = await fs.readFile(absPath, "utf8");
+    res.type("application/javascript");
+    res.set("Cache-Control", "no-cache");
+    res.send(source);
+  } catch (err) {
+    if (err.code === "ENOENT" || err.code === "EISDIR") {
+      return next();
+    }
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Form Expression Context Check
+ *
+ * Scans each plugin's form schema for evalContext references (`host.*`,
+ * `token.*`, `user.*`, `headers.*`), runs the plugin's register() with a
+ * fixture request context and reports the references it never supplies.
+ *
+ *   npm run schema:context                           # every plugin with a schema snapshot
+ *   npm run schema:context -- --plugin pwd-application
+ *   npm run schema:context -- --plugin pwd-application --schema form_schemas/pwd_application_token_context_schema.json
+ *   npm run schema:context -- --fixture my-user.json # { headers, bearerToken, claims }
+ *
+ * Exits 1 when a reference is not supplied, 2 when a plugin could not be
+ * checked, 0 otherwise.
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  loadPluginRegistry,
+  getAllPluginVersions,
+  getPlugin,
+} = require("../utils/plugin-registry");
+const { getSnapshotFile, readSnapshot } = require("../utils/schema-drift");
+const {
+  findContextReferences,
+  buildFixtureRequest,
+  getSuppliedContext,
+  isSupplied,
+} = require("../utils/schema-context");
+
+const DEFAULT_FIXTURE = path.join(__dirname, "fixtures", "request-context.json");
+const USAGE =
+  "Usage: npm run schema:context -- [--plugin <slug>[@<version>]] [--schema <file>] [--fixture <file>]";
+
+function parseArgs(argv) {
+  const options = { plugin: null, schema: null, fixture: DEFAULT_FIXTURE };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--plugin") options.plugin = argv[(i += 1)];
+    else if (arg === "--schema") options.schema = argv[(i += 1)];
+    else if (arg === "--fixture") options.fixture = argv[(i += 1)];
+    else if (arg === "--help" || arg === "-h") options.help = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (Object.values(options).some((value) => value === undefined)) {
+    throw new Error("--plugin, --schema and --fixture need a value");
+  }
+  if (options.schema && !options.plugin) {
+    throw new Error("--schema needs --plugin");
+  }
+  return options;
+}
+
+async function checkPlugin(plugin, schemaFile, request) {
+  const label = `${plugin.slug}@${plugin.version}`;
+  if (!schemaFile) {
+    console.log(`${label}: no schema snapshot configured, skipped`);
+    return "skipped";
+  }
+
+  try {
+    const references = findContextReferences(readSnapshot(schemaFile));
+    const context = await getSuppliedContext(plugin, request);
+    console.log(`${label} <-> ${path.relative(process.cwd(), schemaFile)}`);
+    if (references.length === 0) {
+      console.log("  no host/token/user/headers references");
+      return "clean";
+    }
+
+    // One line per reference, listing where the form uses it
+    const usages = new Map();
+    references.forEach(({ reference, component, field }) => {
+      const where = `${component}.${field}`;
+      usages.set(reference, (usages.get(reference) || new Set()).add(where));
+    });
+    let missing = 0;
+    Array.from(usages.keys())
+      .sort()
+      .forEach((reference) => {
+        const ok = isSupplied(context, reference);
+        if (!ok) missing += 1;
+        console.log(
+          `  ${ok ? "ok     " : "MISSING"} ${reference} (${Array.from(usages.get(reference)).join(", ")})`,
+        );
+      });
+    return missing ? "missing" : "clean";
+  } catch (err) {
+    console.error(`${label}: ${err.message}`);
+    return "error";
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const request = buildFixtureRequest(
+    JSON.parse(fs.readFileSync(options.fixture, "utf8")),
+  );
+  await loadPluginRegistry();
+
+  let plugins = getAllPluginVersions();
+  if (options.plugin) {
+    const [slug, version] = options.plugin.split("@", 2);
+    const plugin = getPlugin(slug, version);
+    if (!plugin) {
+      console.error(`Plugin "${options.plugin}" not found`);
+      process.exit(2);
+    }
+    plugins = [plugin];
+  }
+
+  const results = [];
+  for (const plugin of plugins) {
+    const schemaFile = options.schema
+      ? path.resolve(options.schema)
+      : getSnapshotFile(plugin);
+    results.push(await checkPlugin(plugin, schemaFile, request));
+  }
+
+  const count = (result) => results.filter((r) => r === result).length;
+  console.log(
+    `\n${count("clean")} clean, ${count("missing")} with missing references, ` +
+      `${count("skipped")} skipped, ${count("error")} failed`,
+  );
+  if (count("error")) process.exit(2);
+  if (count("missing")) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(2);
+});
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * Schema Drift Check
+ *
+ * Fetches the live schema of each plugin's CHEFS form and diffs it against
+ * the stored snapshot (the manifest's `schemaSnapshot` in form_schemas/, or
+ * a plugin package's `schema` fixture).
+ *
+ *   npm run schema:drift                              # every plugin version
+ *   npm run schema:drift -- --plugin pwd-application@2.0.0-rc.1
+ *   npm run schema:drift -- --env test                # another CHEFS environment
+ *   npm run schema:drift -- --update                  # rewrite drifted snapshots
+ *
+ * Exits 1 when drift was found (and not updated), 2 when a form could not
+ * be checked, 0 otherwise. API keys come from the usual plugin secrets.
+ */
+const path = require("path");
+const config = require("../config");
+const {
+  loadPluginRegistry,
+  getAllPluginVersions,
+  getPlugin,
+} = require("../utils/plugin-registry");
+const { getPluginTarget } = require("../utils/plugin-environment");
+const {
+  getSnapshotFile,
+  readSnapshot,
+  writeSnapshot,
+  fetchLiveSchema,
+  diffSchemas,
+  hasDrift,
+} = require("../utils/schema-drift");
+
+const USAGE =
+  "Usage: npm run schema:drift -- [--plugin <slug>[@<version>]] [--env <name>] [--update]";
+
+function parseArgs(argv) {
+  const options = { plugin: null, environment: config.chefs.environment, update: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--plugin") options.plugin = argv[(i += 1)];
+    else if (arg === "--env") options.environment = argv[(i += 1)];
+    else if (arg === "--update") options.update = true;
+    else if (arg === "--help" || arg === "-h") options.help = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if ((argv.includes("--plugin") && !options.plugin) || !options.environment) {
+    throw new Error("--plugin and --env need a value");
+  }
+  return options;
+}
+
+function formatValue(value) {
+  const text = value === undefined ? "(unset)" : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function printDiff(diff) {
+  diff.added.forEach(({ key, type }) => console.log(`  + added       ${key} (${type})`));
+  diff.removed.forEach(({ key, type }) => console.log(`  - removed     ${key} (${type})`));
+  [
+    ["changed", "changed    "],
+    ["validation", "validation "],
+    ["logic", "logic      "],
+  ].forEach(([category, label]) => {
+    diff[category].forEach(({ key, changes }) => {
+      changes.forEach(({ path: field, before, after }) => {
+        console.log(
+          `  ~ ${label} ${key}: ${field} ${formatValue(before)} -> ${formatValue(after)}`,
+        );
+      });
+    });
+  });
+}
+
+async function checkPlugin(plugin, options) {
+  const label = `${plugin.slug}@${plugin.version}`;
+  const snapshotFile = getSnapshotFile(plugin);
+  if (!snapshotFile) {
+    console.log(`${label}: no schema snapshot configured, skipped`);
+    return "skipped";
+  }
+  const target = getPluginTarget(plugin, options.environment);
+  if (!target) {
+    console.log(`${label}: not available in ${options.environment}, skipped`);
+    return "skipped";
+  }
+
+  if (!target.apiKey) {
+    console.error(`${label}: no API key configured (set ${target.apiKeyRef || "apiKeyRef"})`);
+    return "error";
+  }
+
+  const relative = path.relative(process.cwd(), snapshotFile);
+  try {
+    const live = await fetchLiveSchema(target);
+    const diff = diffSchemas(readSnapshot(snapshotFile), live.schema);
+    console.log(
+      `${label} [${target.environment || options.environment}] form version ${live.version} <-> ${relative}`,
+    );
+    if (!hasDrift(diff)) {
+      console.log("  no drift");
+      return "clean";
+    }
+    printDiff(diff);
+    if (options.update) {
+      writeSnapshot(snapshotFile, live.schema);
+      console.log(`  updated ${relative}`);
+      return "updated";
+    }
+    return "drift";
+  } catch (err) {
+    console.error(`${label}: ${err.message}`);
+    return "error";
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  await loadPluginRegistry();
+
+  let plugins = getAllPluginVersions();
+  if (options.plugin) {
+    const [slug, version] = options.plugin.split("@", 2);
+    const plugin = getPlugin(slug, version);
+    if (!plugin) {
+      console.error(`Plugin "${options.plugin}" not found`);
+      process.exit(2);
+    }
+    plugins = [plugin];
+  }
+
+  const results = [];
+  for (const plugin of plugins) {
+    results.push(await checkPlugin(plugin, options));
+  }
+
+  const count = (result) => results.filter((r) => r === result).length;
+  console.log(
+    `\n${count("clean")} clean, ${count("drift")} drifted, ${count("updated")} updated, ` +
+      `${count("skipped")} skipped, ${count("error")} failed`,
+  );
+  if (count("error")) process.exit(2);
+  if (count("drift")) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(2);
+});
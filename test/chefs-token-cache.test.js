@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const { isFresh } = require("../utils/chefs-token-cache");
+
+const bufferMs = config.chefs.tokenCache.refreshBuffer * 1000;
+
+// An entry fetched `ageMs` ago that lives `lifetimeMs` in total
+const entry = (lifetimeMs, ageMs) => {
+  const fetchedAt = Date.now() - ageMs;
+  return { token: "t", fetchedAt, expiresAt: fetchedAt + lifetimeMs };
+};
+
+test("missing entries are not fresh", () => {
+  assert.equal(isFresh(undefined), false);
+});
+
+test("long-lived tokens are refreshed within the refresh buffer", () => {
+  const lifetimeMs = bufferMs * 10;
+  assert.equal(isFresh(entry(lifetimeMs, 0)), true);
+  assert.equal(isFresh(entry(lifetimeMs, lifetimeMs - bufferMs - 1000)), true);
+  assert.equal(isFresh(entry(lifetimeMs, lifetimeMs - bufferMs + 1000)), false);
+});
+
+test("the buffer is capped at half of a short-lived token's lifetime", () => {
+  // Shorter than the buffer: an uncapped buffer would never reuse it
+  const lifetimeMs = bufferMs / 2;
+  assert.equal(isFresh(entry(lifetimeMs, 0)), true);
+  assert.equal(isFresh(entry(lifetimeMs, lifetimeMs * 0.4)), true);
+  assert.equal(isFresh(entry(lifetimeMs, lifetimeMs * 0.6)), false);
+});
+
+test("expired tokens are not fresh", () => {
+  assert.equal(isFresh(entry(bufferMs * 10, bufferMs * 11)), false);
+});
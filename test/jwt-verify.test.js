@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkClaims, JwtVerificationError } = require("../utils/jwt-verify");
+
+const ISSUER = "http://localhost:8080/realms/chefs-embed";
+const options = { issuer: ISSUER, audiences: ["express-app"], clockToleranceSec: 30 };
+const now = () => Math.floor(Date.now() / 1000);
+const claims = (overrides = {}) => ({
+  iss: ISSUER,
+  aud: "express-app",
+  exp: now() + 300,
+  ...overrides,
+});
+
+const rejectsWith = (payload, code) =>
+  assert.throws(
+    () => checkClaims(payload, options),
+    (err) => err instanceof JwtVerificationError && err.code === code,
+  );
+
+test("accepts a token for this client", () => {
+  checkClaims(claims(), options);
+  checkClaims(claims({ aud: ["account", "express-app"] }), options);
+});
+
+test("accepts a Keycloak access token through azp", () => {
+  checkClaims(claims({ aud: "account", azp: "express-app" }), options);
+});
+
+test("rejects another issuer", () => {
+  rejectsWith(claims({ iss: "http://evil/realms/chefs-embed" }), "invalid_issuer");
+});
+
+test("rejects a token meant for another client", () => {
+  rejectsWith(claims({ aud: "account", azp: "other-app" }), "invalid_audience");
+  rejectsWith(claims({ aud: undefined }), "invalid_audience");
+});
+
+test("rejects expired tokens outside the clock tolerance", () => {
+  checkClaims(claims({ exp: now() - 10 }), options);
+  rejectsWith(claims({ exp: now() - 60 }), "expired");
+  rejectsWith(claims({ exp: undefined }), "expired");
+});
+
+test("rejects tokens that are not valid yet", () => {
+  checkClaims(claims({ nbf: now() + 10 }), options);
+  rejectsWith(claims({ nbf: now() + 60 }), "not_yet_valid");
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+
+// Stand-in Keycloak JWKS for the logout tokens
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const server = http.createServer((req, res) => {
+  const jwk = { ...publicKey.export({ format: "jwk" }), kid: "test", alg: "RS256", use: "sig" };
+  res.end(JSON.stringify({ keys: [jwk] }));
+});
+
+let config;
+let logout;
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  // Read by config.js, so set before the modules load
+  process.env.KEYCLOAK_JWKS_URL = `http://127.0.0.1:${server.address().port}/certs`;
+  config = require("../config");
+  logout = require("../utils/oidc-logout");
+});
+test.after(() => server.close());
+
+const logoutToken = (overrides = {}) => {
+  const claims = {
+    iss: config.keycloak.issuer,
+    aud: config.keycloak.audiences[0],
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(Date.now() / 1000) + 60,
+    jti: crypto.randomUUID(),
+    sub: "user-1",
+    sid: "keycloak-session-1",
+    events: { "http://schemas.openid.net/event/backchannel-logout": {} },
+    ...overrides,
+  };
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const unsigned = `${encode({ alg: "RS256", kid: "test", typ: "logout+jwt" })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.sign("sha256", Buffer.from(unsigned), privateKey).toString("base64url")}`;
+};
+
+// Session store whose all() answers after a delay, or fails while `failing`
+const createStore = () => {
+  const store = {
+    calls: 0,
+    failing: false,
+    all(callback) {
+      store.calls += 1;
+      setTimeout(() => callback(store.failing ? new Error("store unavailable") : null, {}), 20);
+    },
+    destroy: (sid, callback) => callback(),
+  };
+  return store;
+};
+
+const rejectsAsInvalid = (promise) =>
+  assert.rejects(promise, (err) => err.code === "invalid_logout_token");
+
+test("a replayed logout token is refused", async () => {
+  const store = createStore();
+  const token = logoutToken();
+  await logout.handleBackchannelLogout(store, token);
+  await rejectsAsInvalid(logout.handleBackchannelLogout(store, token));
+  assert.equal(store.calls, 1);
+});
+
+test("concurrent deliveries of one logout token act once", async () => {
+  const store = createStore();
+  const token = logoutToken();
+  const results = await Promise.allSettled([
+    logout.handleBackchannelLogout(store, token),
+    logout.handleBackchannelLogout(store, token),
+  ]);
+  assert.deepEqual(results.map((result) => result.status).sort(), ["fulfilled", "rejected"]);
+  assert.equal(store.calls, 1);
+});
+
+test("a delivery that failed to end sessions can be retried", async () => {
+  const store = createStore();
+  const token = logoutToken();
+  store.failing = true;
+  await assert.rejects(logout.handleBackchannelLogout(store, token), /store unavailable/);
+  store.failing = false;
+  await logout.handleBackchannelLogout(store, token);
+  assert.equal(store.calls, 2);
+});
+
+test("logout tokens without the event, a jti, or with a nonce are refused", async () => {
+  const store = createStore();
+  await rejectsAsInvalid(logout.handleBackchannelLogout(store, logoutToken({ events: {} })));
+  await rejectsAsInvalid(logout.handleBackchannelLogout(store, logoutToken({ jti: undefined })));
+  await rejectsAsInvalid(logout.handleBackchannelLogout(store, logoutToken({ nonce: "n" })));
+  await rejectsAsInvalid(
+    logout.handleBackchannelLogout(store, logoutToken({ sid: undefined, sub: undefined })),
+  );
+  assert.equal(store.calls, 0);
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+
+// Stand-in Keycloak: a JWKS and a token endpoint whose response each test sets
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+let tokenResponse = () => ({ status: 500, body: "" });
+let tokenRequests = 0;
+const server = http.createServer((req, res) => {
+  if (req.url === "/certs") {
+    const jwk = { ...publicKey.export({ format: "jwk" }), kid: "test", alg: "RS256", use: "sig" };
+    return res.end(JSON.stringify({ keys: [jwk] }));
+  }
+  tokenRequests += 1;
+  req.resume();
+  req.on("end", () => {
+    const { status, body, type = "application/json" } = tokenResponse();
+    res.writeHead(status, { "Content-Type": type }).end(body);
+  });
+});
+
+let config;
+let refresh;
+let oidc;
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  // Read by config.js, so set before the modules load
+  process.env.KEYCLOAK_JWKS_URL = `${baseUrl}/certs`;
+  config = require("../config");
+  refresh = require("../utils/oidc-refresh");
+  oidc = { tokenEndpoint: `${baseUrl}/token`, clientId: "express-app" };
+});
+test.after(() => server.close());
+
+const sign = (claims) => {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const unsigned = `${encode({ alg: "RS256", kid: "test" })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.sign("sha256", Buffer.from(unsigned), privateKey).toString("base64url")}`;
+};
+
+const accessToken = () =>
+  sign({
+    iss: config.keycloak.issuer,
+    aud: config.keycloak.audiences[0],
+    exp: Math.floor(Date.now() / 1000) + 300,
+    jti: crypto.randomUUID(),
+  });
+
+// A request whose session store holds `user` as last saved
+const request = (sessionID, user) => ({
+  sessionID,
+  user: { ...user },
+  sessionStore: { get: (sid, callback) => callback(null, { passport: { user } }) },
+  session: { save: (callback) => callback() },
+});
+
+test("expiresSoon treats tokens within the buffer, or without exp, as expiring", () => {
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal(refresh.expiresSoon({ payload: { exp: now + 300 } }, 60), false);
+  assert.equal(refresh.expiresSoon({ payload: { exp: now + 30 } }, 60), true);
+  assert.equal(refresh.expiresSoon({ payload: {} }, 60), true);
+  assert.equal(refresh.expiresSoon(null, 60), true);
+});
+
+test("concurrent refreshes of one session spend the refresh token once", async () => {
+  tokenRequests = 0;
+  tokenResponse = () => ({
+    status: 200,
+    body: JSON.stringify({ access_token: accessToken(), refresh_token: "r2" }),
+  });
+  const stored = { refreshToken: "r1" };
+  const requests = [request("session-a", stored), request("session-a", stored)];
+
+  const results = await Promise.all(requests.map((req) => refresh.refreshSessionTokens(req, oidc)));
+
+  assert.equal(tokenRequests, 1);
+  assert.deepEqual(results[0], results[1]);
+  requests.forEach((req) => assert.equal(req.user.refreshToken, "r2"));
+});
+
+test("rejected and malformed token responses surface as TokenRefreshError codes", async () => {
+  const codeFor = async (response, sessionID) => {
+    tokenResponse = () => response;
+    const err = await refresh
+      .refreshSessionTokens(request(sessionID, { refreshToken: "r1" }), oidc)
+      .catch((error) => error);
+    assert.ok(err instanceof refresh.TokenRefreshError, err.message);
+    return err.code;
+  };
+
+  assert.equal(await codeFor({ status: 400, body: '{"error":"invalid_grant"}' }, "session-b"), "refresh_rejected");
+  assert.equal(await codeFor({ status: 502, body: "Bad gateway" }, "session-c"), "unavailable");
+  assert.equal(
+    await codeFor({ status: 200, body: "<html>Maintenance</html>", type: "text/html" }, "session-d"),
+    "invalid_response",
+  );
+});
+
+test("requests without a refresh token are refused", async () => {
+  const err = await refresh.refreshSessionTokens(request("session-e", {}), oidc).catch((error) => error);
+  assert.equal(err.code, "no_refresh_token");
+});
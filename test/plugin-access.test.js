@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluatePluginAccess } = require("../utils/plugin-access");
+
+// decodeUserTokens shape; the access token wins over the ID token
+const tokens = (accessPayload, idPayload = {}) => ({
+  accessToken: { header: {}, payload: accessPayload },
+  idToken: { header: {}, payload: idPayload },
+});
+
+const user = tokens({
+  realm_access: { roles: ["user"] },
+  resource_access: { "express-app": { roles: ["viewer"] } },
+  groups: ["/staff"],
+  department: "finance",
+});
+
+test("plugins without access rules are open", () => {
+  assert.deepEqual(evaluatePluginAccess({}, null), { allowed: true, reason: null });
+});
+
+test("realm roles pass on any listed role", () => {
+  assert.equal(evaluatePluginAccess({ access: { realmRoles: ["admin", "user"] } }, user).allowed, true);
+  assert.deepEqual(evaluatePluginAccess({ access: { realmRoles: ["admin"] } }, user), {
+    allowed: false,
+    reason: "requires realm role: admin",
+  });
+});
+
+test("client roles are checked per client", () => {
+  const plugin = (clientRoles) => ({ access: { clientRoles } });
+  assert.equal(evaluatePluginAccess(plugin({ "express-app": ["viewer"] }), user).allowed, true);
+  assert.equal(evaluatePluginAccess(plugin({ "express-app": ["editor"] }), user).allowed, false);
+  assert.equal(evaluatePluginAccess(plugin({ other: ["viewer"] }), user).allowed, false);
+});
+
+test("groups and claims must match", () => {
+  assert.equal(evaluatePluginAccess({ access: { groups: ["/staff"] } }, user).allowed, true);
+  assert.equal(evaluatePluginAccess({ access: { groups: ["/admins"] } }, user).allowed, false);
+  assert.equal(
+    evaluatePluginAccess({ access: { claims: { department: ["hr", "finance"] } } }, user).allowed,
+    true,
+  );
+  assert.deepEqual(evaluatePluginAccess({ access: { claims: { department: "hr" } } }, user), {
+    allowed: false,
+    reason: "requires claim department",
+  });
+});
+
+test("every rule present must pass", () => {
+  const access = { realmRoles: ["user"], groups: ["/admins"] };
+  assert.equal(evaluatePluginAccess({ access }, user).allowed, false);
+});
+
+test("claims from the ID token count unless the access token overrides them", () => {
+  const access = { claims: { "address.country": "CA" } };
+  assert.equal(evaluatePluginAccess({ access }, tokens({}, { address: { country: "CA" } })).allowed, true);
+  assert.equal(
+    evaluatePluginAccess({ access }, tokens({ address: { country: "US" } }, { address: { country: "CA" } })).allowed,
+    false,
+  );
+});
+
+test("users without tokens are denied restricted plugins", () => {
+  assert.equal(evaluatePluginAccess({ access: { realmRoles: ["user"] } }, null).allowed, false);
+});
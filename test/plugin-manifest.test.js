@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateManifest } = require("../utils/plugin-manifest");
+
+const FORM_ID = "11111111-2222-3333-4444-555555555555";
+
+const manifest = (overrides = {}) => ({
+  slug: "demo",
+  name: "Demo",
+  formId: FORM_ID,
+  apiKeyRef: "CHEFS_API_KEY_DEMO",
+  ...overrides,
+});
+
+const paths = (errors) => errors.map((error) => error.path);
+
+test("accepts a minimal manifest", () => {
+  assert.deepEqual(validateManifest(manifest()), []);
+});
+
+test("rejects a missing manifest export", () => {
+  assert.deepEqual(paths(validateManifest(undefined)), ["manifest"]);
+});
+
+test("reports missing required fields and unknown keys", () => {
+  const { name, ...withoutName } = manifest({ tokenRefesh: {} });
+  assert.deepEqual(paths(validateManifest(withoutName)).sort(), ["name", "tokenRefesh"]);
+});
+
+test("rejects a literal apiKey and asks for it to be rotated", () => {
+  const errors = validateManifest(manifest({ apiKey: "secret" }));
+  assert.deepEqual(paths(errors), ["apiKey"]);
+  assert.match(errors[0].message, /rotate the key/);
+});
+
+test("confines apiKeyRef to CHEFS_API_KEY_ secrets", () => {
+  for (const apiKeyRef of ["SESSION_SECRET", "KEYCLOAK_CLIENT_SECRET", "CHEFS_API_KEY_"]) {
+    assert.deepEqual(paths(validateManifest(manifest({ apiKeyRef }))), ["apiKeyRef"], apiKeyRef);
+  }
+  const environments = { dev: { formId: FORM_ID, apiKeyRef: "SESSION_SECRET" } };
+  assert.deepEqual(
+    paths(validateManifest(manifest({ environments }))),
+    ["environments.dev.apiKeyRef"],
+  );
+});
+
+test("requires formId unless environments are declared", () => {
+  const { formId, ...withoutFormId } = manifest();
+  assert.deepEqual(paths(validateManifest(withoutFormId)), ["formId"]);
+  const environments = { dev: { formId: FORM_ID } };
+  assert.deepEqual(validateManifest({ ...withoutFormId, environments }), []);
+});
+
+test("rejects environment names that are not slugs", () => {
+  const environments = { "Dev Env": { formId: FORM_ID } };
+  assert.deepEqual(paths(validateManifest(manifest({ environments }))), ["environments.Dev Env"]);
+});
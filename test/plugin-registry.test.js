@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { compareVersions, pickDefaultVersion } = require("../utils/plugin-registry");
+
+// Versions of one plugin, newest first (as getPluginVersions returns them)
+const versions = (...list) =>
+  list
+    .map((version) => (typeof version === "string" ? { version } : version))
+    .sort((a, b) => compareVersions(b.version, a.version));
+
+test("compareVersions orders numerically and puts prereleases first", () => {
+  const sorted = ["2.0.0", "1.10.0", "2.0.0-rc.10", "1.2.0", "2.0.0-rc.2"].sort(compareVersions);
+  assert.deepEqual(sorted, ["1.2.0", "1.10.0", "2.0.0-rc.2", "2.0.0-rc.10", "2.0.0"]);
+});
+
+test("picks the newest release", () => {
+  assert.equal(pickDefaultVersion(versions("1.0.0", "1.1.0", "1.0.1")).version, "1.1.0");
+});
+
+test("skips prereleases when a release exists", () => {
+  assert.equal(pickDefaultVersion(versions("1.0.0", "2.0.0-rc.1")).version, "1.0.0");
+});
+
+test("falls back to the newest prerelease", () => {
+  assert.equal(pickDefaultVersion(versions("2.0.0-rc.1", "2.0.0-rc.2")).version, "2.0.0-rc.2");
+});
+
+test("a version marked default wins", () => {
+  const picked = pickDefaultVersion(
+    versions("1.0.0", { version: "0.9.0", default: true }, "2.0.0-rc.1"),
+  );
+  assert.equal(picked.version, "0.9.0");
+});
+
+test("returns null without versions", () => {
+  assert.equal(pickDefaultVersion([]), null);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { promisify } = require("util");
+const { FileSessionStore, resolveEncryptionKey } = require("../utils/session-store");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "session-store-test-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const createStore = (secret = "test-secret") => {
+  const store = new FileSessionStore({
+    dir,
+    key: resolveEncryptionKey({ encryptionKey: null, secret }),
+    ttlMs: 60 * 1000,
+    cleanupIntervalMs: 0,
+  });
+  return {
+    get: promisify(store.get.bind(store)),
+    set: promisify(store.set.bind(store)),
+    file: (sid) => store.fileFor(sid),
+  };
+};
+
+const session = {
+  cookie: { expires: new Date(Date.now() + 60 * 1000).toISOString() },
+  passport: {
+    user: { username: "alice", accessToken: "access.jwt", refreshToken: "refresh.jwt", idToken: "id.jwt" },
+  },
+};
+
+test("tokens round-trip through the store and are encrypted on disk", async () => {
+  const store = createStore();
+  await store.set("sid-1", session);
+
+  assert.deepEqual(await store.get("sid-1"), session);
+
+  const { user } = JSON.parse(fs.readFileSync(store.file("sid-1"), "utf8")).session.passport;
+  assert.equal(user.username, "alice");
+  for (const field of ["accessToken", "refreshToken", "idToken"]) {
+    assert.match(user[field], /^enc:v1:/);
+    assert.ok(!user[field].includes(session.passport.user[field]), field);
+  }
+});
+
+test("each write uses a fresh IV", async () => {
+  const store = createStore();
+  await store.set("sid-2", session);
+  const first = fs.readFileSync(store.file("sid-2"), "utf8");
+  await store.set("sid-2", session);
+  assert.notEqual(fs.readFileSync(store.file("sid-2"), "utf8"), first);
+});
+
+test("sessions that no longer decrypt are dropped", async () => {
+  await createStore().set("sid-3", session);
+  const otherKey = createStore("another-secret");
+  assert.equal(await otherKey.get("sid-3"), null);
+  assert.equal(fs.existsSync(otherKey.file("sid-3")), false);
+});
+
+test("encryption keys must be 32 bytes", () => {
+  assert.equal(resolveEncryptionKey({ encryptionKey: "ab".repeat(32) }).length, 32);
+  assert.equal(resolveEncryptionKey({ encryptionKey: Buffer.alloc(32, 1).toString("base64") }).length, 32);
+  assert.throws(() => resolveEncryptionKey({ encryptionKey: "too-short" }), /32 bytes/);
+});
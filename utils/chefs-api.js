@@ -0,0 +1,311 @@
+/**
+ * CHEFS API Client
+ *
+ * Read access to a plugin's CHEFS form through the CHEFS API (/api/v1),
+ * authenticated like the gateway token request: Basic base64(formId:apiKey)
+ * with the plugin's server-only API key. Every function takes the plugin's
+ * CHEFS target (see getPluginTarget in utils/plugin-environment.js), so the
+ * calls go to the same instance and form as the embed.
+ *
+ * Requests go through chefsRequest (timeouts, retries, circuit breaker) and
+ * fail with the typed errors in utils/chefs-errors.js. Responses are
+ * normalised to the shapes documented below, whichever CHEFS release (or
+ * the mock in mock-chefs/) answered.
+ */
+const config = require("../config");
+const { chefsRequest } = require("./chefs-http");
+const { ChefsGatewayError, ChefsNotFoundError } = require("./chefs-errors");
+
+/**
+ * @typedef {Object} ChefsTarget
+ * @property {string} formId - CHEFS form UUID
+ * @property {string} baseUrl - Base URL of the CHEFS instance
+ * @property {string|null} apiKey - The form's API key
+ */
+
+/**
+ * @typedef {Object} FormVersion
+ * @property {string} id - Version UUID
+ * @property {string} formId - Form UUID
+ * @property {number} version - Version number
+ * @property {boolean} published
+ * @property {string|null} createdAt
+ * @property {Object} [schema] - Form.io schema (single version lookups only)
+ */
+
+/**
+ * @typedef {Object} SubmissionSummary
+ * @property {string} id - Submission UUID
+ * @property {string|null} confirmationId
+ * @property {string|null} formVersionId
+ * @property {boolean} draft
+ * @property {string|null} createdBy
+ * @property {string|null} createdAt
+ * @property {string|null} updatedAt
+ * @property {string|null} status - Latest status code (e.g. "SUBMITTED"), if known
+ */
+
+/**
+ * The identity CHEFS records as a submission's `createdBy` for the current
+ * user, e.g. "jdoe@idir" (see config.chefs.submitter).
+ *
+ * @param {Object|null} decodedTokens - req.verifiedTokens
+ * @returns {string|null}
+ */
+function getSubmitterId(decodedTokens) {
+  const claims = {
+    ...(decodedTokens?.idToken?.payload || {}),
+    ...(decodedTokens?.accessToken?.payload || {}),
+  };
+  const { usernameClaims, idpClaim, idpMap } = config.chefs.submitter;
+  const username = usernameClaims
+    .map((claim) => claims[claim])
+    .find((value) => typeof value === "string" && value);
+  if (!username) return null;
+
+  const idp = idpClaim ? claims[idpClaim] : null;
+  if (!idp || username.includes("@")) return username;
+  return `${username}@${idpMap[idp] || idp}`;
+}
+
+/**
+ * Whether a submission was created by the given submitter. CHEFS usernames
+ * are compared case-insensitively.
+ *
+ * @param {{ createdBy: string|null }} submission
+ * @param {string|null} submitterId - See getSubmitterId
+ * @returns {boolean}
+ */
+function isSubmittedBy(submission, submitterId) {
+  return (
+    !!submitterId &&
+    typeof submission?.createdBy === "string" &&
+    submission.createdBy.toLowerCase() === submitterId.toLowerCase()
+  );
+}
+
+/**
+ * Send an authenticated GET to the CHEFS API and parse the JSON body.
+ *
+ * @param {ChefsTarget} target
+ * @param {string} path - Path below /api/v1
+ * @returns {Promise<any>}
+ */
+async function apiGet(target, path) {
+  const { formId, apiKey, baseUrl } = target;
+  if (!formId || !apiKey) {
+    throw new Error("Missing formId or apiKey configuration");
+  }
+
+  const basicAuth = Buffer.from(`${formId}:${apiKey}`).toString("base64");
+  const response = await chefsRequest(baseUrl, `/api/v1${path}`, {
+    headers: {
+      Authorization: `Basic ${basicAuth}`,
+      Accept: "application/json",
+    },
+  });
+
+  return response.json().catch((err) => {
+    throw new ChefsGatewayError(`CHEFS API response for ${path} is not valid JSON`, {
+      baseUrl,
+      cause: err,
+    });
+  });
+}
+
+/**
+ * Give "not found" errors for submissions a message about submissions
+ * rather than forms.
+ */
+async function withSubmissionNotFound(promise) {
+  try {
+    return await promise;
+  } catch (err) {
+    if (err instanceof ChefsNotFoundError) {
+      err.userMessage = "The requested submission could not be found.";
+    }
+    throw err;
+  }
+}
+
+function normaliseVersion(version, formId) {
+  return {
+    id: version.id,
+    formId: version.formId || formId,
+    version: Number(version.version),
+    published: !!version.published,
+    createdAt: version.createdAt || null,
+    ...(version.schema && { schema: version.schema }),
+  };
+}
+
+/** Latest status code from a status list or a record's own status field. */
+function latestStatus(status) {
+  if (Array.isArray(status)) {
+    return normaliseStatus(status)[0]?.code || null;
+  }
+  return status || null;
+}
+
+function normaliseStatus(entries) {
+  return (entries || [])
+    .map((entry) => ({
+      code: entry.code,
+      createdAt: entry.createdAt || null,
+      actor: entry.createdBy || entry.user?.username || null,
+    }))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/** @returns {SubmissionSummary} */
+function normaliseSubmission(record) {
+  return {
+    id: record.id || record.submissionId,
+    confirmationId: record.confirmationId || null,
+    formVersionId: record.formVersionId || null,
+    draft: !!record.draft,
+    createdBy: record.createdBy || null,
+    createdAt: record.createdAt || null,
+    updatedAt: record.updatedAt || null,
+    status: latestStatus(record.status ?? record.formSubmissionStatusCode),
+  };
+}
+
+/**
+ * Form metadata with its version list (without schemas).
+ *
+ * @param {ChefsTarget} target
+ * @returns {Promise<{ id: string, name: string, description: string, active: boolean, versions: Array<FormVersion> }>}
+ */
+async function getForm(target) {
+  const form = await apiGet(target, `/forms/${target.formId}`);
+  return {
+    id: form.id,
+    name: form.name,
+    description: form.description || "",
+    active: form.active !== false,
+    versions: (form.versions || [])
+      .map((version) => normaliseVersion(version, form.id))
+      .sort((a, b) => b.version - a.version),
+  };
+}
+
+/**
+ * Published versions of the form, newest first.
+ *
+ * @param {ChefsTarget} target
+ * @returns {Promise<Array<FormVersion>>}
+ */
+async function listPublishedVersions(target) {
+  const { versions } = await getForm(target);
+  return versions.filter((version) => version.published);
+}
+
+/**
+ * One form version including its schema.
+ *
+ * @param {ChefsTarget} target
+ * @param {string} versionId - Version UUID
+ * @returns {Promise<FormVersion>}
+ */
+async function getFormVersion(target, versionId) {
+  const body = await apiGet(
+    target,
+    `/forms/${target.formId}/versions/${encodeURIComponent(versionId)}`,
+  );
+  // Some CHEFS releases wrap the version in a single-element array
+  const version = Array.isArray(body) ? body[0] : body;
+  if (!version) {
+    throw new ChefsNotFoundError(`Form version ${versionId} not found`, {
+      baseUrl: target.baseUrl,
+    });
+  }
+  return normaliseVersion(version, target.formId);
+}
+
+/**
+ * Submissions and drafts of the form, newest first.
+ *
+ * @param {ChefsTarget} target
+ * @param {Object} [filters]
+ * @param {string} [filters.createdBy] - Only submissions by this submitter (see getSubmitterId)
+ * @param {boolean} [filters.draft] - Only drafts (true) or only submitted items (false)
+ * @returns {Promise<Array<SubmissionSummary>>}
+ */
+async function listSubmissions(target, { createdBy, draft } = {}) {
+  const query = new URLSearchParams({ deleted: "false" });
+  if (createdBy) query.set("createdBy", createdBy);
+  if (draft !== undefined) query.set("draft", String(draft));
+
+  const records = await apiGet(
+    target,
+    `/forms/${target.formId}/submissions?${query}`,
+  );
+  // Filter again locally: older CHEFS releases ignore some of these parameters
+  return (records || [])
+    .filter((record) => !record.deleted)
+    .map(normaliseSubmission)
+    .filter((submission) => !createdBy || isSubmittedBy(submission, createdBy))
+    .filter((submission) => draft === undefined || submission.draft === draft)
+    .sort((a, b) =>
+      String(b.updatedAt || b.createdAt).localeCompare(
+        String(a.updatedAt || a.createdAt),
+      ),
+    );
+}
+
+/**
+ * A single submission with its data.
+ *
+ * @param {ChefsTarget} target
+ * @param {string} submissionId - Submission UUID
+ * @returns {Promise<SubmissionSummary & { data: Object, updatedBy: string|null, formVersion: number|null }>}
+ * @throws {ChefsNotFoundError} If the submission does not exist or belongs to another form
+ */
+async function getSubmission(target, submissionId) {
+  const body = await withSubmissionNotFound(
+    apiGet(target, `/submissions/${encodeURIComponent(submissionId)}`),
+  );
+  const record = body.submission || body;
+  const formId = body.form?.id || record.formId;
+  if (formId && formId !== target.formId) {
+    const error = new ChefsNotFoundError(
+      `Submission ${submissionId} belongs to form ${formId}`,
+      { baseUrl: target.baseUrl },
+    );
+    error.userMessage = "The requested submission could not be found.";
+    throw error;
+  }
+
+  return {
+    ...normaliseSubmission(record),
+    data: record.submission?.data || {},
+    updatedBy: record.updatedBy || null,
+    formVersion: body.version ? Number(body.version.version) : null,
+  };
+}
+
+/**
+ * Status history of a submission, newest first.
+ *
+ * @param {ChefsTarget} target
+ * @param {string} submissionId - Submission UUID
+ * @returns {Promise<Array<{ code: string, createdAt: string|null, actor: string|null }>>}
+ */
+async function getSubmissionStatus(target, submissionId) {
+  const entries = await withSubmissionNotFound(
+    apiGet(target, `/submissions/${encodeURIComponent(submissionId)}/status`),
+  );
+  return normaliseStatus(entries);
+}
+
+module.exports = {
+  getSubmitterId,
+  isSubmittedBy,
+  getForm,
+  listPublishedVersions,
+  getFormVersion,
+  listSubmissions,
+  getSubmission,
+  getSubmissionStatus,
+};
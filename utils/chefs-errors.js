@@ -0,0 +1,94 @@
+/**
+ * CHEFS Gateway Errors
+ *
+ * Typed errors raised by the CHEFS client so routes can tell a bad API key
+ * from a missing form or an outage. Each error carries the HTTP status the
+ * host should answer with and a message that is safe to show to users
+ * (the technical detail stays in `message` for the logs).
+ */
+
+class ChefsGatewayError extends Error {
+  /**
+   * @param {string} message - Technical detail for logs
+   * @param {Object} [options]
+   * @param {number} [options.status] - Status returned by CHEFS, if any
+   * @param {string} [options.baseUrl] - CHEFS instance the request went to
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { status = null, baseUrl = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ChefsGatewayError";
+    this.status = status;
+    this.baseUrl = baseUrl;
+    this.statusCode = 502;
+    this.userMessage =
+      "CHEFS returned an unexpected response. Please try again later.";
+  }
+}
+
+/** CHEFS rejected the form id / API key pair (401 or 403). */
+class ChefsAuthError extends ChefsGatewayError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ChefsAuthError";
+    this.statusCode = 502;
+    this.userMessage =
+      "This form is not configured correctly: CHEFS rejected its credentials. Please contact the form administrator.";
+  }
+}
+
+/** The form (or other resource) does not exist on the CHEFS instance (404). */
+class ChefsNotFoundError extends ChefsGatewayError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ChefsNotFoundError";
+    this.statusCode = 404;
+    this.userMessage = "The requested CHEFS form could not be found.";
+  }
+}
+
+/** CHEFS is down, slow, rate limiting, or its circuit breaker is open. */
+class ChefsUnavailableError extends ChefsGatewayError {
+  /**
+   * @param {string} message - Technical detail for logs
+   * @param {Object} [options] - As ChefsGatewayError, plus:
+   * @param {number} [options.retryAfter] - Seconds until a retry is worthwhile
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "ChefsUnavailableError";
+    this.statusCode = 503;
+    this.retryAfter = options.retryAfter ?? null;
+    this.userMessage =
+      "CHEFS is temporarily unavailable. Please try again in a few minutes.";
+  }
+}
+
+/**
+ * Map a non-OK CHEFS response status to a typed error.
+ *
+ * @param {number} status - HTTP status from CHEFS
+ * @param {string} message - Technical detail for logs
+ * @param {Object} [options] - Extra error options (baseUrl)
+ * @returns {ChefsGatewayError}
+ */
+function errorForStatus(status, message, options = {}) {
+  if (status === 401 || status === 403) {
+    return new ChefsAuthError(message, { ...options, status });
+  }
+  if (status === 404) {
+    return new ChefsNotFoundError(message, { ...options, status });
+  }
+  if (status === 408 || status === 429 || status >= 500) {
+    return new ChefsUnavailableError(message, { ...options, status });
+  }
+  return new ChefsGatewayError(message, { ...options, status });
+}
+
+module.exports = {
+  ChefsGatewayError,
+  ChefsAuthError,
+  ChefsNotFoundError,
+  ChefsUnavailableError,
+  errorForStatus,
+};
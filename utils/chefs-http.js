@@ -0,0 +1,186 @@
+/**
+ * Resilient CHEFS HTTP Client
+ *
+ * Low-level request helper used for every call to a CHEFS instance:
+ *
+ * - Each attempt is aborted after `chefs.gateway.timeoutMs`
+ * - Transient failures (timeouts, network errors, 408/429/5xx) are retried
+ *   up to `chefs.gateway.retries` times with exponential backoff and jitter
+ * - A circuit breaker per baseUrl opens after `breakerThreshold` consecutive
+ *   failed requests and fails fast until `breakerCooldownMs` has passed;
+ *   then a single trial request decides whether it closes again
+ * - Failures are thrown as the typed errors in utils/chefs-errors.js
+ */
+const config = require("../config");
+const {
+  ChefsGatewayError,
+  ChefsUnavailableError,
+  errorForStatus,
+} = require("./chefs-errors");
+
+// Upper bound for honouring a Retry-After header between attempts
+const MAX_RETRY_DELAY_MS = 5000;
+
+// baseUrl -> { state: "closed" | "open" | "half-open", failures, openedAt }
+const breakers = new Map();
+
+function getBreaker(baseUrl) {
+  if (!breakers.has(baseUrl)) {
+    breakers.set(baseUrl, { state: "closed", failures: 0, openedAt: null });
+  }
+  return breakers.get(baseUrl);
+}
+
+/**
+ * Throw if the breaker for baseUrl is open; move it to half-open once the
+ * cooldown has passed so one trial request can go through.
+ */
+function checkBreaker(baseUrl) {
+  const breaker = getBreaker(baseUrl);
+  if (breaker.state === "closed") return;
+
+  const { breakerCooldownMs } = config.chefs.gateway;
+  const remaining = breaker.openedAt + breakerCooldownMs - Date.now();
+  if (breaker.state === "open" && remaining <= 0) {
+    breaker.state = "half-open";
+    return;
+  }
+  throw new ChefsUnavailableError(
+    `Circuit breaker open for ${baseUrl}`,
+    { baseUrl, retryAfter: Math.max(1, Math.ceil(remaining / 1000)) },
+  );
+}
+
+function recordSuccess(baseUrl) {
+  const breaker = getBreaker(baseUrl);
+  if (breaker.state !== "closed") {
+    console.log(`[chefs-http] Circuit closed for ${baseUrl}`);
+  }
+  breaker.state = "closed";
+  breaker.failures = 0;
+  breaker.openedAt = null;
+}
+
+function recordFailure(baseUrl) {
+  const breaker = getBreaker(baseUrl);
+  breaker.failures += 1;
+  if (
+    breaker.state === "half-open" ||
+    breaker.failures >= config.chefs.gateway.breakerThreshold
+  ) {
+    if (breaker.state !== "open") {
+      console.warn(
+        `[chefs-http] Circuit opened for ${baseUrl} after ${breaker.failures} failures`,
+      );
+    }
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt) {
+  const base = config.chefs.gateway.retryDelayMs * 2 ** attempt;
+  return base + Math.floor(Math.random() * base * 0.2);
+}
+
+function parseRetryAfter(response) {
+  const value = Number(response.headers.get("retry-after"));
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Make one attempt, translating failures into typed errors.
+ *
+ * @returns {Promise<Response>} An OK response
+ */
+async function attempt(url, baseUrl, options) {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(config.chefs.gateway.timeoutMs),
+    });
+  } catch (err) {
+    const timedOut = err.name === "TimeoutError" || err.name === "AbortError";
+    throw new ChefsUnavailableError(
+      timedOut
+        ? `Request to ${url} timed out after ${config.chefs.gateway.timeoutMs}ms`
+        : `Request to ${url} failed: ${err.message}`,
+      { baseUrl, cause: err },
+    );
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    const error = errorForStatus(
+      response.status,
+      `${options.method || "GET"} ${url} failed: ${response.status} ${errorText}`,
+      { baseUrl },
+    );
+    if (error instanceof ChefsUnavailableError) {
+      error.retryAfter = parseRetryAfter(response);
+    }
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Send a request to a CHEFS instance with timeout, retries and circuit breaking.
+ *
+ * @param {string} baseUrl - Base URL of the CHEFS instance
+ * @param {string} path - Path appended to baseUrl (e.g. "/gateway/v1/...")
+ * @param {RequestInit} [options] - fetch options (method, headers, body)
+ * @returns {Promise<Response>} An OK response
+ * @throws {import("./chefs-errors").ChefsGatewayError} Typed error on failure
+ */
+async function chefsRequest(baseUrl, path, options = {}) {
+  const url = `${baseUrl}${path}`;
+  const { retries } = config.chefs.gateway;
+
+  checkBreaker(baseUrl);
+
+  for (let attemptNo = 0; ; attemptNo += 1) {
+    try {
+      const response = await attempt(url, baseUrl, options);
+      recordSuccess(baseUrl);
+      return response;
+    } catch (err) {
+      const transient = err instanceof ChefsUnavailableError;
+      if (!transient || attemptNo >= retries) {
+        // Only outages count towards the breaker; bad credentials or a
+        // missing form say nothing about the instance's health
+        if (transient) {
+          recordFailure(baseUrl);
+        } else if (err instanceof ChefsGatewayError) {
+          recordSuccess(baseUrl);
+        }
+        throw err;
+      }
+      const delay = err.retryAfter
+        ? Math.min(err.retryAfter * 1000, MAX_RETRY_DELAY_MS)
+        : backoffDelay(attemptNo);
+      console.warn(
+        `[chefs-http] ${err.message}; retrying in ${delay}ms (${attemptNo + 1}/${retries})`,
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Circuit breaker state per baseUrl, for the metrics endpoint.
+ *
+ * @returns {Object<string, { state: string, failures: number, openedAt: number|null }>}
+ */
+function getCircuitBreakerStats() {
+  return Object.fromEntries(
+    Array.from(breakers, ([baseUrl, breaker]) => [baseUrl, { ...breaker }]),
+  );
+}
+
+module.exports = { chefsRequest, getCircuitBreakerStats };
@@ -0,0 +1,171 @@
+/**
+ * CHEFS Gateway Token Cache
+ *
+ * Caches gateway tokens per CHEFS instance and form so repeated embed page
+ * loads reuse a valid token instead of calling
+ * /gateway/v1/auth/token/forms/:formId every time.
+ *
+ * - Tokens are keyed by baseUrl + formId + a hash of the API key, so a
+ *   rotated key, or another plugin's key for the same form, never gets a
+ *   token minted with a different key
+ * - Expiry is read from the token's `exp` claim; tokens that cannot be
+ *   decoded are kept for `chefs.tokenCache.defaultTtl` seconds
+ * - Tokens are refreshed once they are within `chefs.tokenCache.refreshBuffer`
+ *   seconds of expiry, so callers never receive an almost-expired token. The
+ *   buffer is capped at half the token's lifetime so short-lived tokens are
+ *   still reused
+ * - Callers renewing a token the browser already holds (POST /auth/chefs-token)
+ *   pass `forceRefresh`, so they always get a newer token than the cached one
+ * - Concurrent misses for the same key share a single gateway request
+ */
+const crypto = require("crypto");
+const config = require("../config");
+const { decodeJWT } = require("./jwt");
+const { fetchChefsToken } = require("./chefs");
+
+// Largest share of a token's lifetime the refresh buffer may take
+const MAX_BUFFER_FRACTION = 0.5;
+
+// baseUrl + formId + key hash -> { token, fetchedAt (ms), expiresAt (ms) }
+const cache = new Map();
+
+// baseUrl + formId + key hash -> Promise<string> for gateway requests in flight
+const inflight = new Map();
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  // Misses that joined a request already in flight
+  coalesced: 0,
+  refreshes: 0,
+  errors: 0,
+};
+
+function formPrefix(baseUrl, formId) {
+  return `${baseUrl}|${formId}|`;
+}
+
+function cacheKey(baseUrl, formId, apiKey) {
+  const keyHash = crypto
+    .createHash("sha256")
+    .update(String(apiKey || ""))
+    .digest("hex")
+    .slice(0, 16);
+  return formPrefix(baseUrl, formId) + keyHash;
+}
+
+/**
+ * Work out when a gateway token expires.
+ *
+ * @param {string} token - Gateway token
+ * @returns {number} Expiry as epoch milliseconds
+ */
+function tokenExpiresAt(token) {
+  const exp = decodeJWT(token)?.payload?.exp;
+  if (typeof exp === "number") return exp * 1000;
+  return Date.now() + config.chefs.tokenCache.defaultTtl * 1000;
+}
+
+/**
+ * Whether a cached entry can still be handed out: it must be further from
+ * expiry than the refresh buffer (capped at half its lifetime).
+ *
+ * @param {{ fetchedAt: number, expiresAt: number }|undefined} entry - Cache entry
+ * @returns {boolean}
+ */
+function isFresh(entry) {
+  if (!entry) return false;
+  const lifetimeMs = entry.expiresAt - entry.fetchedAt;
+  const bufferMs = Math.min(
+    config.chefs.tokenCache.refreshBuffer * 1000,
+    lifetimeMs * MAX_BUFFER_FRACTION,
+  );
+  return entry.expiresAt - bufferMs > Date.now();
+}
+
+/**
+ * Get a gateway token for a form, from the cache when possible.
+ * Same parameters as fetchChefsToken.
+ *
+ * @param {string} formId - CHEFS form UUID
+ * @param {string} apiKey - API access key
+ * @param {string} [baseUrl] - Base URL for CHEFS API (defaults to config)
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Skip the cached token and
+ *   fetch a new one (a request already in flight is shared)
+ * @returns {Promise<string>} The authentication token
+ * @throws {Error} If the token fetch fails
+ */
+async function getChefsToken(formId, apiKey, baseUrl = null, { forceRefresh = false } = {}) {
+  const baseUrlToUse = baseUrl || config.chefs.baseUrl;
+  const key = cacheKey(baseUrlToUse, formId, apiKey);
+
+  const entry = cache.get(key);
+  if (!forceRefresh && isFresh(entry)) {
+    stats.hits += 1;
+    return entry.token;
+  }
+
+  stats.misses += 1;
+  if (inflight.has(key)) {
+    stats.coalesced += 1;
+    return inflight.get(key);
+  }
+
+  if (entry) stats.refreshes += 1;
+  const fetchedAt = Date.now();
+  const request = fetchChefsToken(formId, apiKey, baseUrlToUse)
+    .then((token) => {
+      cache.set(key, { token, fetchedAt, expiresAt: tokenExpiresAt(token) });
+      return token;
+    })
+    .catch((err) => {
+      stats.errors += 1;
+      throw err;
+    })
+    .finally(() => {
+      inflight.delete(key);
+    });
+  inflight.set(key, request);
+  return request;
+}
+
+/**
+ * Drop cached tokens: one form's tokens (for every API key) when formId is
+ * given, otherwise all.
+ *
+ * @param {string} [baseUrl] - CHEFS base URL
+ * @param {string} [formId] - CHEFS form UUID
+ */
+function invalidateChefsToken(baseUrl, formId) {
+  if (formId) {
+    const prefix = formPrefix(baseUrl || config.chefs.baseUrl, formId);
+    Array.from(cache.keys())
+      .filter((key) => key.startsWith(prefix))
+      .forEach((key) => cache.delete(key));
+  } else {
+    cache.clear();
+  }
+}
+
+/**
+ * Cache counters for the metrics endpoint.
+ *
+ * @returns {{ hits: number, misses: number, coalesced: number, refreshes: number, errors: number, size: number, hitRatio: number|null }}
+ */
+function getTokenCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    size: cache.size,
+    hitRatio: lookups > 0 ? stats.hits / lookups : null,
+  };
+}
+
+module.exports = {
+  getChefsToken,
+  invalidateChefsToken,
+  getTokenCacheStats,
+  tokenExpiresAt,
+  isFresh,
+};
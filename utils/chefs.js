@@ -1,35 +1,42 @@
 const config = require("../config");
+const { chefsRequest } = require("./chefs-http");
+const { ChefsGatewayError } = require("./chefs-errors");
 
 /**
  * Fetch an authentication token from CHEFS API for embedding forms
  * Uses Basic authentication with base64(formId:apiKey) as per CHEFS gateway API spec
  *
+ * Requests go through chefsRequest, so they time out, retry transient
+ * failures and respect the per-baseUrl circuit breaker.
+ *
  * @param {string} formId - CHEFS form UUID (optional, defaults to config)
  * @param {string} apiKey - API access key (optional, defaults to config)
  * @param {string} baseUrl - Base URL for CHEFS API (optional, defaults to config)
  * @returns {Promise<string>} The authentication token
- * @throws {Error} If token fetch fails
+ * @throws {Error} If formId or apiKey is missing
+ * @throws {import("./chefs-errors").ChefsGatewayError} If the gateway request fails
+ *   (ChefsAuthError, ChefsNotFoundError or ChefsUnavailableError where known)
  */
 async function fetchChefsToken(formId = null, apiKey = null, baseUrl = null) {
   const formIdToUse = formId;
   const apiKeyToUse = apiKey;
   const baseUrlToUse = baseUrl || config.chefs.baseUrl;
 
-  const tokenUrl = `${baseUrlToUse}/gateway/v1/auth/token/forms/${formIdToUse}`;
+  const tokenPath = `/gateway/v1/auth/token/forms/${formIdToUse}`;
 
   if (!formIdToUse || !apiKeyToUse) {
     throw new Error("Missing formId or apiKey configuration");
   }
 
   try {
-    console.log(`Fetching CHEFS token from: ${tokenUrl}`);
+    console.log(`Fetching CHEFS token from: ${baseUrlToUse}${tokenPath}`);
 
     // Create Basic auth header: base64(formId:apiKey)
     const basicAuth = Buffer.from(`${formIdToUse}:${apiKeyToUse}`).toString(
       "base64",
     );
 
-    const response = await fetch(tokenUrl, {
+    const response = await chefsRequest(baseUrlToUse, tokenPath, {
       method: "POST",
       headers: {
         Authorization: `Basic ${basicAuth}`,
@@ -38,18 +45,18 @@ async function fetchChefsToken(formId = null, apiKey = null, baseUrl = null) {
       body: JSON.stringify({ formId: formIdToUse }),
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `Failed to fetch auth token: ${response.status} ${errorText}`,
-      );
-    }
-
-    const tokenData = await response.json();
+    const tokenData = await response.json().catch((err) => {
+      throw new ChefsGatewayError("Gateway token response is not valid JSON", {
+        baseUrl: baseUrlToUse,
+        cause: err,
+      });
+    });
     const authToken = tokenData.token;
 
     if (!authToken) {
-      throw new Error("No token in response from gateway endpoint");
+      throw new ChefsGatewayError("No token in response from gateway endpoint", {
+        baseUrl: baseUrlToUse,
+      });
     }
 
     return authToken;
@@ -0,0 +1,251 @@
+/**
+ * Form Schema Gallery
+ *
+ * Lists the form schemas stored in form_schemas/ and describes their
+ * component trees (keys, types, validation, conditions and calculated
+ * values) for the offline gallery at /form-schemas. Nothing here talks to
+ * CHEFS: the gallery previews the stored JSON with the locally hosted
+ * Form.io renderer.
+ */
+const fs = require("fs");
+const path = require("path");
+const { getAllPluginVersions, getPlugin } = require("./plugin-registry");
+const { getSnapshotFile } = require("./schema-drift");
+const { buildFixtureRequest, getSuppliedContext } = require("./schema-context");
+
+const SCHEMAS_DIR = path.join(__dirname, "..", "form_schemas");
+// Request context the sample values are built from (shared with npm run schema:context)
+const FIXTURE_FILE = path.join(__dirname, "..", "scripts", "fixtures", "request-context.json");
+// Same rule as a manifest's schemaSnapshot: a plain file name, no paths
+const SCHEMA_FILE_PATTERN = /^[\w.-]+\.json$/;
+
+// Sample contexts by plugin key, revision and fixture mtime. Building one runs
+// the plugin's hooks, so a gallery view reuses it until the plugin or the
+// fixture changes instead of calling serverRegister on every page load.
+const sampleContexts = new Map();
+
+// Validation settings count as "off" when empty or false
+const isSet = (value) =>
+  value !== undefined && value !== null && value !== "" && value !== false;
+
+/**
+ * Plugin versions whose schema snapshot is the given file.
+ *
+ * @param {string} file - File name inside form_schemas/
+ * @returns {Array<string>} "slug@version" labels
+ */
+function getPluginsUsing(file) {
+  const fullPath = path.join(SCHEMAS_DIR, file);
+  return getAllPluginVersions()
+    .filter((plugin) => getSnapshotFile(plugin) === fullPath)
+    .map((plugin) => `${plugin.slug}@${plugin.version}`);
+}
+
+/**
+ * Read a stored schema by file name.
+ *
+ * @param {string} file - File name inside form_schemas/
+ * @returns {Object|null} The schema, or null when the name is invalid or the file does not exist
+ * @throws {SyntaxError} If the file is not valid JSON
+ */
+function readFormSchema(file) {
+  if (!SCHEMA_FILE_PATTERN.test(file || "")) return null;
+  const fullPath = path.join(SCHEMAS_DIR, file);
+  if (!fs.existsSync(fullPath)) return null;
+  return JSON.parse(fs.readFileSync(fullPath, "utf8"));
+}
+
+/**
+ * Active validation rules of a component, as short labels.
+ *
+ * @param {Object} component
+ * @returns {Array<string>} e.g. ["required", "maxLength: 50", "custom: valid = ..."]
+ */
+function describeValidation(component) {
+  const rules = Object.entries(component.validate || {})
+    .filter(([, value]) => isSet(value))
+    .map(([rule, value]) => (value === true ? rule : `${rule}: ${value}`));
+  if (component.unique) rules.push("unique");
+  return rules;
+}
+
+/**
+ * Conditions and calculated logic of a component, as short labels.
+ *
+ * @param {Object} component
+ * @returns {Array<string>} e.g. ["show when type = other", "calculated: value = token?.given_name"]
+ */
+function describeConditions(component) {
+  const { conditional = {} } = component;
+  const conditions = [];
+  if (conditional.when) {
+    const action = conditional.show === false || conditional.show === "false" ? "hide" : "show";
+    conditions.push(`${action} when ${conditional.when} = ${conditional.eq}`);
+  }
+  if (isSet(conditional.json)) {
+    conditions.push(`JSON logic: ${JSON.stringify(conditional.json)}`);
+  }
+  if (isSet(component.customConditional)) {
+    conditions.push(`custom: ${component.customConditional}`);
+  }
+  if (isSet(component.calculateValue)) {
+    conditions.push(`calculated: ${component.calculateValue}`);
+  }
+  if (isSet(component.customDefaultValue)) {
+    conditions.push(`default: ${component.customDefaultValue}`);
+  }
+  if (Array.isArray(component.logic) && component.logic.length > 0) {
+    conditions.push(`${component.logic.length} logic rule(s)`);
+  }
+  return conditions;
+}
+
+/**
+ * Describe a schema's components as a tree, following the same layout
+ * children as flattenComponents (panels, columns, table rows).
+ *
+ * @param {Object} schema - Form.io schema
+ * @returns {Array<{ key: string, type: string, label: string, input: boolean, hidden: boolean, validation: Array<string>, conditions: Array<string>, children: Array<Object> }>}
+ */
+function getComponentTree(schema) {
+  const describe = (components) =>
+    (components || [])
+      .filter((component) => component && typeof component === "object")
+      .map((component) => {
+        const children = [...describe(component.components)];
+        (component.columns || []).forEach((column) =>
+          children.push(...describe(column?.components)),
+        );
+        // Table rows; textareas use a numeric `rows` for their height
+        if (Array.isArray(component.rows)) {
+          component.rows.forEach((row) =>
+            (row || []).forEach((cell) => children.push(...describe(cell?.components))),
+          );
+        }
+        return {
+          key: component.key,
+          type: component.type,
+          label: component.label || component.title || "",
+          input: Boolean(component.input),
+          hidden: Boolean(component.hidden),
+          validation: describeValidation(component),
+          conditions: describeConditions(component),
+          children,
+        };
+      });
+  return describe(schema?.components);
+}
+
+/**
+ * What a plugin's register() (merged with its serverRegister result) supplies
+ * for the fixture request, computed once per plugin revision and fixture.
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @param {Object} fixture - Parsed request-context fixture
+ * @param {number} fixtureMtime - Fixture modification time, part of the cache key
+ * @returns {Promise<{ context: Object|null, error: string|null }>}
+ */
+function getPluginSampleContext(plugin, fixture, fixtureMtime) {
+  const cacheKey = `${plugin.key}#${plugin.revision}#${fixtureMtime}`;
+  if (!sampleContexts.has(cacheKey)) {
+    // Drop entries for older revisions of the same plugin
+    for (const key of sampleContexts.keys()) {
+      if (key.startsWith(`${plugin.key}#`)) sampleContexts.delete(key);
+    }
+    sampleContexts.set(
+      cacheKey,
+      getSuppliedContext(plugin, buildFixtureRequest(fixture)).then(
+        (context) => ({ context, error: null }),
+        (err) => {
+          console.error(`[form-schemas] register() of ${plugin.key} failed:`, err.message);
+          return { context: null, error: err.message };
+        },
+      ),
+    );
+  }
+  return sampleContexts.get(cacheKey);
+}
+
+/**
+ * Starting values for the preview's evalContext: what the first plugin using
+ * the schema supplies from register() for the fixture request, or values
+ * shaped from the fixture directly when no plugin uses it (or its hooks
+ * fail, in which case `error` says why).
+ *
+ * @param {string} file - File name inside form_schemas/
+ * @returns {Promise<{ source: string, error: string|null, context: { host: any, token: any, user: any, headers: any } }>}
+ */
+async function getSampleContext(file) {
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE_FILE, "utf8"));
+  const [label] = getPluginsUsing(file);
+  let error = null;
+  if (label) {
+    const [slug, version] = label.split("@");
+    const result = await getPluginSampleContext(
+      getPlugin(slug, version),
+      fixture,
+      fs.statSync(FIXTURE_FILE).mtimeMs,
+    );
+    if (result.context) {
+      return {
+        source: `${label} register() with the fixture request`,
+        error: null,
+        context: result.context,
+      };
+    }
+    error = `${label} register() failed: ${result.error}`;
+  }
+
+  const { claims = {} } = fixture;
+  return {
+    source: "fixture request",
+    error,
+    context: {
+      host: {},
+      token: claims,
+      // Shaped like the SDK's buildUser()
+      user: {
+        sub: claims.sub,
+        given_name: claims.given_name,
+        family_name: claims.family_name,
+        email: claims.email,
+      },
+      headers: fixture.headers || {},
+    },
+  };
+}
+
+/**
+ * List the stored schemas. Unreadable files are listed with an error
+ * instead of failing the whole gallery.
+ *
+ * @returns {Array<{ file: string, componentCount: number, usedBy: Array<string>, error: string|null }>}
+ */
+function listFormSchemas() {
+  if (!fs.existsSync(SCHEMAS_DIR)) return [];
+  return fs
+    .readdirSync(SCHEMAS_DIR)
+    .filter((file) => SCHEMA_FILE_PATTERN.test(file))
+    .sort()
+    .map((file) => {
+      const entry = { file, componentCount: 0, usedBy: [], error: null };
+      try {
+        const count = (nodes) =>
+          nodes.reduce((total, node) => total + 1 + count(node.children), 0);
+        entry.componentCount = count(getComponentTree(readFormSchema(file)));
+        entry.usedBy = getPluginsUsing(file);
+      } catch (err) {
+        console.error(`[form-schemas] Could not read ${file}:`, err.message);
+        entry.error = err.message;
+      }
+      return entry;
+    });
+}
+
+module.exports = {
+  listFormSchemas,
+  readFormSchema,
+  getComponentTree,
+  getPluginsUsing,
+  getSampleContext,
+};
@@ -0,0 +1,293 @@
+/**
+ * Keycloak JWT Verification
+ *
+ * Verifies the access and ID tokens Keycloak issues before the app trusts
+ * their claims (roles for plugin access, `exp` for tokenExpiresAt, the
+ * claims passed to forms). decodeJWT in utils/jwt.js only decodes.
+ *
+ * - Signing keys come from the realm's JWKS (`keycloak.jwks.url`), cached
+ *   for `keycloak.jwks.cacheTtlMs`
+ * - A token signed with a key id the cache does not know triggers a JWKS
+ *   refetch (at most once per `keycloak.jwks.minRefreshIntervalMs`), so
+ *   Keycloak key rotation is picked up without a restart; concurrent
+ *   refetches share one request
+ * - When the JWKS cannot be fetched, the keys already cached keep working
+ * - Issuer, audience (`aud`, or `azp` for Keycloak access tokens whose
+ *   `aud` is "account"), expiry and not-before are checked with
+ *   `keycloak.clockToleranceSec` of leeway
+ *
+ * Keycloak refresh tokens are signed with a realm secret (HS512), not a
+ * JWKS key, so they are only ever decoded; Keycloak checks them itself when
+ * they are used.
+ */
+const crypto = require("crypto");
+const config = require("../config");
+const { decodeJWT } = require("./jwt");
+
+class JwtVerificationError extends Error {
+  /**
+   * @param {string} message - Technical detail for logs
+   * @param {Object} options
+   * @param {string} options.code - malformed, unsupported_algorithm, unknown_key,
+   *   invalid_signature, invalid_issuer, invalid_audience, expired,
+   *   not_yet_valid, jwks_unavailable or invalid_logout_token (see
+   *   utils/oidc-logout.js)
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { code, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "JwtVerificationError";
+    this.code = code;
+  }
+}
+
+// JWS `alg` -> crypto.verify() hash and key options
+const ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: "sha384", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: "sha512", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+  ES512: { hash: "sha512", dsaEncoding: "ieee-p1363" },
+};
+
+// kid -> KeyObject, from the last successful JWKS fetch
+let signingKeys = new Map();
+let fetchedAt = 0;
+let lastAttemptAt = 0;
+// Promise for the JWKS request in flight
+let inflight = null;
+
+const stats = {
+  fetches: 0,
+  errors: 0,
+  verified: 0,
+  rejected: 0,
+};
+
+async function fetchJwks() {
+  const { url, timeoutMs } = config.keycloak.jwks;
+  stats.fetches += 1;
+  lastAttemptAt = Date.now();
+
+  let body;
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`JWKS request to ${url} failed with ${response.status}`);
+    }
+    body = await response.json();
+  } catch (err) {
+    stats.errors += 1;
+    throw new JwtVerificationError(`Could not fetch JWKS: ${err.message}`, {
+      code: "jwks_unavailable",
+      cause: err,
+    });
+  }
+
+  const keys = new Map();
+  (body?.keys || [])
+    .filter((jwk) => jwk.kid && (!jwk.use || jwk.use === "sig"))
+    .forEach((jwk) => {
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+      } catch (err) {
+        console.warn(`[jwt] Skipping JWKS key ${jwk.kid}: ${err.message}`);
+      }
+    });
+  signingKeys = keys;
+  fetchedAt = Date.now();
+  console.log(`[jwt] Loaded ${keys.size} signing key(s) from ${url}`);
+}
+
+// Refetch the JWKS; concurrent callers share one request
+function refreshJwks() {
+  if (!inflight) {
+    inflight = fetchJwks().finally(() => {
+      inflight = null;
+    });
+  }
+  return inflight;
+}
+
+/**
+ * Find the public key for a key id, refetching the JWKS when the cache is
+ * stale or does not know the key (rotation).
+ *
+ * @param {string} kid - The token header's key id
+ * @returns {Promise<crypto.KeyObject>}
+ * @throws {JwtVerificationError} unknown_key, or jwks_unavailable when nothing is cached
+ */
+async function getSigningKey(kid) {
+  const { cacheTtlMs, minRefreshIntervalMs } = config.keycloak.jwks;
+  const stale = Date.now() - fetchedAt > cacheTtlMs;
+  const unknown = !signingKeys.has(kid);
+  const mayRefetch = Date.now() - lastAttemptAt > minRefreshIntervalMs;
+
+  if (inflight || (stale && mayRefetch) || (unknown && mayRefetch)) {
+    try {
+      await refreshJwks();
+    } catch (err) {
+      if (signingKeys.size === 0) throw err;
+      console.warn(`[jwt] ${err.message}; using the cached keys`);
+    }
+  }
+
+  const key = signingKeys.get(kid);
+  if (!key) {
+    throw new JwtVerificationError(`No JWKS key with kid "${kid}"`, {
+      code: "unknown_key",
+    });
+  }
+  return key;
+}
+
+/**
+ * Check a token's issuer, audience and validity window.
+ *
+ * @param {Object} payload - Decoded JWT payload
+ * @param {Object} options
+ * @param {string} options.issuer - Expected `iss`
+ * @param {Array<string>} options.audiences - Accepted `aud` (or `azp`) values
+ * @param {number} options.clockToleranceSec - Allowed clock skew for `exp` and `nbf`
+ * @throws {JwtVerificationError} invalid_issuer, invalid_audience, expired or not_yet_valid
+ */
+function checkClaims(payload, { issuer, audiences, clockToleranceSec }) {
+  const fail = (message, code) => {
+    throw new JwtVerificationError(message, { code });
+  };
+
+  if (payload.iss !== issuer) {
+    fail(`Unexpected issuer "${payload.iss}"`, "invalid_issuer");
+  }
+
+  const aud = [].concat(payload.aud || []);
+  if (!aud.some((value) => audiences.includes(value)) && !audiences.includes(payload.azp)) {
+    fail(`Token is not meant for ${audiences.join(", ")}`, "invalid_audience");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== "number" || payload.exp + clockToleranceSec <= now) {
+    fail("Token has expired", "expired");
+  }
+  if (typeof payload.nbf === "number" && payload.nbf - clockToleranceSec > now) {
+    fail("Token is not valid yet", "not_yet_valid");
+  }
+}
+
+/**
+ * Verify a Keycloak-issued JWT.
+ *
+ * @param {string} token - Raw JWT
+ * @param {Object} [options] - Defaults from config.keycloak
+ * @param {string} [options.issuer]
+ * @param {Array<string>} [options.audiences]
+ * @param {number} [options.clockToleranceSec]
+ * @returns {Promise<{ header: Object, payload: Object, raw: string }>} Same shape as decodeJWT
+ * @throws {JwtVerificationError}
+ */
+async function verifyJWT(token, options = {}) {
+  const {
+    issuer = config.keycloak.issuer,
+    audiences = config.keycloak.audiences,
+    clockToleranceSec = config.keycloak.clockToleranceSec,
+  } = options;
+
+  try {
+    const decoded = decodeJWT(token);
+    if (!decoded) {
+      throw new JwtVerificationError("Token is not a JWT", { code: "malformed" });
+    }
+    const { header, payload } = decoded;
+
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new JwtVerificationError(`Unsupported algorithm "${header.alg}"`, {
+        code: "unsupported_algorithm",
+      });
+    }
+
+    const key = await getSigningKey(header.kid);
+    const [encodedHeader, encodedPayload, signature] = token.split(".");
+    let valid = false;
+    try {
+      valid = crypto.verify(
+        algorithm.hash,
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        {
+          key,
+          padding: algorithm.padding,
+          saltLength: algorithm.padding && crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+          dsaEncoding: algorithm.dsaEncoding,
+        },
+        Buffer.from(signature, "base64url"),
+      );
+    } catch {
+      // e.g. an EC key used with an RS256 header
+      valid = false;
+    }
+    if (!valid) {
+      throw new JwtVerificationError("Signature does not match", {
+        code: "invalid_signature",
+      });
+    }
+
+    checkClaims(payload, { issuer, audiences, clockToleranceSec });
+    stats.verified += 1;
+    return decoded;
+  } catch (err) {
+    stats.rejected += 1;
+    throw err;
+  }
+}
+
+/**
+ * Verify the tokens stored on a session user. Same shape as
+ * decodeUserTokens, except that a token failing verification is null (its
+ * reason is in `errors`). The refresh token is decoded only (see above).
+ *
+ * @param {Object} user - Session user ({ accessToken, idToken, refreshToken })
+ * @returns {Promise<{ tokens: { accessToken: Object|null, idToken: Object|null, refreshToken: Object|null }, errors: { accessToken?: JwtVerificationError, idToken?: JwtVerificationError } }>}
+ */
+async function verifyUserTokens(user) {
+  const tokens = { accessToken: null, idToken: null, refreshToken: null };
+  const errors = {};
+  if (!user) return { tokens, errors };
+
+  await Promise.all(
+    ["accessToken", "idToken"].map(async (name) => {
+      if (!user[name]) return;
+      try {
+        tokens[name] = await verifyJWT(user[name]);
+      } catch (err) {
+        errors[name] = err;
+      }
+    }),
+  );
+  tokens.refreshToken = user.refreshToken ? decodeJWT(user.refreshToken) : null;
+  return { tokens, errors };
+}
+
+/**
+ * Counters for /metrics.
+ *
+ * @returns {{ fetches: number, errors: number, verified: number, rejected: number, keys: number, fetchedAt: string|null }}
+ */
+function getJwksStats() {
+  return {
+    ...stats,
+    keys: signingKeys.size,
+    fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+  };
+}
+
+module.exports = {
+  JwtVerificationError,
+  verifyJWT,
+  verifyUserTokens,
+  checkClaims,
+  getJwksStats,
+};
@@ -1,6 +1,7 @@
 /**
  * Decode a JWT token without verification
  * Returns the decoded header and payload
+ * (use verifyJWT in utils/jwt-verify.js before trusting the claims)
  */
 function decodeJWT(token) {
   if (!token || typeof token !== 'string') {
@@ -34,4 +35,18 @@ function decodeJWT(token) {
   }
 }
 
-module.exports = { decodeJWT };
+/**
+ * Decode all tokens stored on a session user
+ * Returns { accessToken, idToken, refreshToken } (each decoded or null)
+ */
+function decodeUserTokens(user) {
+  if (!user) return null;
+
+  return {
+    accessToken: user.accessToken ? decodeJWT(user.accessToken) : null,
+    idToken: user.idToken ? decodeJWT(user.idToken) : null,
+    refreshToken: user.refreshToken ? decodeJWT(user.refreshToken) : null
+  };
+}
+
+module.exports = { decodeJWT, decodeUserTokens };
@@ -0,0 +1,155 @@
+/**
+ * OIDC Logout (started by Keycloak)
+ *
+ * Ends local sessions when the user's Keycloak session ends elsewhere: the
+ * user logged out of another client, an admin ended their sessions, or the
+ * Keycloak session expired.
+ *
+ * - Back-channel: Keycloak POSTs a signed logout token
+ *   (https://openid.net/specs/openid-connect-backchannel-1_0.html)
+ * - Front-channel: Keycloak's logout page loads a URL with `iss` and `sid`
+ *   in an iframe (https://openid.net/specs/openid-connect-frontchannel-1_0.html)
+ *
+ * Sessions are found through the session store's all() and matched on the
+ * Keycloak session id (the `sid` claim of the tokens they hold) or the
+ * user's subject. The memory store only reaches this instance's sessions;
+ * the file store reaches every instance sharing SESSION_DIR.
+ */
+const config = require("../config");
+const { decodeJWT } = require("./jwt");
+const { verifyJWT, JwtVerificationError } = require("./jwt-verify");
+
+const BACKCHANNEL_LOGOUT_EVENT = "http://schemas.openid.net/event/backchannel-logout";
+
+// jti -> expiry (ms) of logout tokens claimed by a delivery, to refuse replays
+const usedTokenIds = new Map();
+
+function isReplay(jti) {
+  const now = Date.now();
+  usedTokenIds.forEach((expiresAt, id) => {
+    if (expiresAt <= now) usedTokenIds.delete(id);
+  });
+  return usedTokenIds.has(jti);
+}
+
+/**
+ * The Keycloak session id of a session user, from its ID (or access) token.
+ *
+ * @param {Object} user - Session user
+ * @returns {string|null}
+ */
+function getKeycloakSessionId(user) {
+  return (decodeJWT(user?.idToken) || decodeJWT(user?.accessToken))?.payload?.sid || null;
+}
+
+/**
+ * Destroy the sessions belonging to a Keycloak session (`sid`) or, without
+ * one, to a user (`sub`).
+ *
+ * @param {Object} store - express-session store (req.sessionStore)
+ * @param {Object} match
+ * @param {string} [match.sid] - Keycloak session id
+ * @param {string} [match.sub] - Keycloak user id (the session user's `id`)
+ * @returns {Promise<number>} Number of sessions destroyed
+ * @throws {Error} When the store cannot list its sessions
+ */
+async function endSessions(store, { sid, sub }) {
+  if (!sid && !sub) return 0;
+  if (typeof store.all !== "function") {
+    throw new Error("The session store cannot list sessions");
+  }
+
+  const sessions = await new Promise((resolve, reject) =>
+    store.all((err, all) => (err ? reject(err) : resolve(all || {}))),
+  );
+  const matching = Object.entries(sessions)
+    .filter(([, sess]) => {
+      const user = sess?.passport?.user;
+      if (!user) return false;
+      if (sid) return getKeycloakSessionId(user) === sid && (!sub || user.id === sub);
+      return user.id === sub;
+    })
+    .map(([id]) => id);
+
+  await Promise.all(
+    matching.map(
+      (id) =>
+        new Promise((resolve, reject) =>
+          store.destroy(id, (err) => (err ? reject(err) : resolve())),
+        ),
+    ),
+  );
+  return matching.length;
+}
+
+/**
+ * Verify a back-channel logout token: a Keycloak-signed JWT for this client
+ * carrying the back-channel logout event, a `sid` or `sub`, a `jti` not
+ * seen before and no `nonce`.
+ *
+ * @param {string} token - Raw logout token
+ * @returns {Promise<Object>} The token's claims
+ * @throws {JwtVerificationError} invalid_logout_token, or any verifyJWT code
+ */
+async function verifyLogoutToken(token) {
+  const { payload } = await verifyJWT(token);
+  const invalid = (message) => {
+    throw new JwtVerificationError(message, { code: "invalid_logout_token" });
+  };
+
+  if (!payload.events || typeof payload.events[BACKCHANNEL_LOGOUT_EVENT] !== "object") {
+    invalid("Logout token does not carry the back-channel logout event");
+  }
+  if (!payload.sid && !payload.sub) {
+    invalid("Logout token has neither sid nor sub");
+  }
+  if (payload.nonce !== undefined) {
+    invalid("Logout token must not contain a nonce");
+  }
+  if (!payload.jti) {
+    invalid("Logout token has no jti");
+  }
+  if (isReplay(payload.jti)) {
+    invalid(`Logout token ${payload.jti} was already used`);
+  }
+  return payload;
+}
+
+/**
+ * Handle a back-channel logout request.
+ *
+ * @param {Object} store - express-session store
+ * @param {string} token - The `logout_token` form field
+ * @returns {Promise<{ claims: Object, ended: number }>}
+ * @throws {JwtVerificationError} When the token is not acceptable
+ * @throws {Error} When the sessions could not be destroyed (Keycloak may retry)
+ */
+async function handleBackchannelLogout(store, token) {
+  const claims = await verifyLogoutToken(token);
+  // Claim the jti before anything else awaits: a concurrent delivery of the
+  // same token may also have passed verifyLogoutToken's replay check
+  if (isReplay(claims.jti)) {
+    throw new JwtVerificationError(`Logout token ${claims.jti} was already used`, {
+      code: "invalid_logout_token",
+    });
+  }
+  usedTokenIds.set(
+    claims.jti,
+    (claims.exp + config.keycloak.clockToleranceSec) * 1000,
+  );
+  try {
+    const ended = await endSessions(store, { sid: claims.sid, sub: claims.sub });
+    return { claims, ended };
+  } catch (err) {
+    // Release the jti so Keycloak's retry of a failed attempt is accepted
+    usedTokenIds.delete(claims.jti);
+    throw err;
+  }
+}
+
+module.exports = {
+  getKeycloakSessionId,
+  endSessions,
+  verifyLogoutToken,
+  handleBackchannelLogout,
+};
@@ -0,0 +1,282 @@
+/**
+ * OIDC Token Refresh
+ *
+ * Exchanges the session user's refresh token for new tokens at an OIDC
+ * token endpoint and stores them on the user (which is the session's
+ * passport user, so the session store persists them). The new access token
+ * is verified (see utils/jwt-verify.js) before anything is stored.
+ *
+ * Used by POST /auth/refresh-token (with a plugin's OIDC configuration)
+ * and by the server-side refresh in requireAuth (with the host's Keycloak
+ * client), so both rotate refresh tokens the same way.
+ *
+ * Keycloak refresh tokens may be single-use: a tab or embed presenting one
+ * that another request has just rotated would be logged out. Refreshes are
+ * therefore serialised per session and a fresh result is shared (see
+ * refreshSessionTokens).
+ */
+const config = require("../config");
+const { verifyJWT } = require("./jwt-verify");
+
+class TokenRefreshError extends Error {
+  /**
+   * @param {string} message - Technical detail for logs
+   * @param {Object} options
+   * @param {string} options.code - no_refresh_token, refresh_rejected (the
+   *   refresh token is expired or revoked: sign in again), unavailable
+   *   (the token endpoint could not be reached or failed) or
+   *   invalid_response (the token endpoint answered with something other
+   *   than a JSON token response, e.g. a proxy's HTML error page)
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { code, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "TokenRefreshError";
+    this.code = code;
+  }
+}
+
+/**
+ * The host application's own Keycloak client, in the shape of
+ * getPluginOidcConfig.
+ *
+ * @returns {{ tokenEndpoint: string, clientId: string, clientSecret: string }}
+ */
+function getHostOidcConfig() {
+  return {
+    tokenEndpoint: config.keycloak.tokenURL,
+    clientId: config.keycloak.clientID,
+    clientSecret: config.keycloak.clientSecret,
+  };
+}
+
+/**
+ * Whether an access token expires within `bufferSec` seconds.
+ *
+ * @param {Object|null} decoded - Verified access token ({ payload })
+ * @param {number} bufferSec
+ * @returns {boolean}
+ */
+function expiresSoon(decoded, bufferSec) {
+  const exp = decoded?.payload?.exp;
+  return typeof exp !== "number" || exp - bufferSec <= Math.floor(Date.now() / 1000);
+}
+
+// sessionID -> tail of that session's refresh queue
+const queues = new Map();
+// sessionID -> the session's last refresh, reused for keycloak.refreshReuseWindowMs
+const recent = new Map();
+
+// Run `task` after every refresh already queued for `key` has settled
+function serialise(key, task) {
+  const previous = queues.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  queues.set(key, run);
+  const cleanup = () => {
+    if (queues.get(key) === run) queues.delete(key);
+  };
+  run.then(cleanup, cleanup);
+  return run;
+}
+
+function remember(key, entry) {
+  clearTimeout(recent.get(key)?.timer);
+  const timer = setTimeout(() => recent.delete(key), config.keycloak.refreshReuseWindowMs);
+  // Do not keep the process alive just to forget a refresh
+  timer.unref();
+  recent.set(key, { ...entry, timer });
+}
+
+/**
+ * Exchange a refresh token at the token endpoint.
+ *
+ * @param {string} refreshToken
+ * @param {Object} oidc - { tokenEndpoint, clientId, clientSecret? }
+ * @returns {Promise<{ tokens: Object, accessToken: Object, idToken: Object|null }>}
+ *   The raw tokens in session user shape, and the verified access and ID tokens
+ * @throws {TokenRefreshError|JwtVerificationError}
+ */
+async function requestTokens(refreshToken, { tokenEndpoint, clientId, clientSecret }) {
+  const params = new URLSearchParams({
+    grant_type: "refresh_token",
+    client_id: clientId,
+    refresh_token: refreshToken,
+  });
+  if (clientSecret) params.set("client_secret", clientSecret);
+
+  let tokenResponse;
+  try {
+    tokenResponse = await fetch(tokenEndpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: params,
+    });
+  } catch (err) {
+    throw new TokenRefreshError(`Token endpoint unreachable: ${err.message}`, {
+      code: "unavailable",
+      cause: err,
+    });
+  }
+
+  if (!tokenResponse.ok) {
+    const errorText = await tokenResponse.text();
+    // 400 invalid_grant / 401: the refresh token is expired, revoked or already used
+    const rejected = tokenResponse.status === 400 || tokenResponse.status === 401;
+    throw new TokenRefreshError(
+      `Token refresh failed with ${tokenResponse.status}: ${errorText}`,
+      { code: rejected ? "refresh_rejected" : "unavailable" },
+    );
+  }
+
+  let body;
+  try {
+    body = await tokenResponse.json();
+  } catch (err) {
+    throw new TokenRefreshError(`Token endpoint returned an invalid response: ${err.message}`, {
+      code: "invalid_response",
+      cause: err,
+    });
+  }
+  if (!body || typeof body !== "object") {
+    throw new TokenRefreshError("Token endpoint returned an invalid response", {
+      code: "invalid_response",
+    });
+  }
+
+  // Never store (or hand out) a token that does not verify
+  const accessToken = await verifyJWT(body.access_token);
+  const idToken = body.id_token
+    ? await verifyJWT(body.id_token).catch(() => null)
+    : null;
+
+  return {
+    tokens: {
+      accessToken: body.access_token,
+      // OIDC providers may rotate refresh tokens
+      refreshToken: body.refresh_token || refreshToken,
+      idToken: body.id_token,
+    },
+    accessToken,
+    idToken,
+  };
+}
+
+/**
+ * The session user as currently stored, which may be newer than the copy
+ * this request loaded (another tab, or another instance sharing the store,
+ * refreshed in between).
+ *
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>}
+ */
+function readStoredUser(req) {
+  return new Promise((resolve) => {
+    req.sessionStore.get(req.sessionID, (err, sess) => {
+      if (err) {
+        console.warn(`[auth] Could not re-read session before refresh: ${err.message}`);
+      }
+      resolve(sess?.passport?.user || null);
+    });
+  });
+}
+
+/**
+ * Tokens for the session: a refresh finished moments ago, tokens another
+ * request already stored, or a new refresh grant.
+ */
+async function resolveSessionTokens(req, oidc) {
+  const key = req.sessionID;
+  const client = `${oidc.tokenEndpoint} ${oidc.clientId}`;
+
+  const last = recent.get(key);
+  if (last && last.client === client) {
+    return last;
+  }
+
+  let refreshToken = req.user.refreshToken;
+  const stored = await readStoredUser(req);
+  if (stored?.refreshToken && stored.refreshToken !== refreshToken) {
+    // This request loaded the session before another one rotated the tokens;
+    // the refresh token it holds has been used up
+    const accessToken = await verifyJWT(stored.accessToken).catch(() => null);
+    if (accessToken && !expiresSoon(accessToken, config.keycloak.refreshBufferSec)) {
+      const idToken = stored.idToken
+        ? await verifyJWT(stored.idToken).catch(() => null)
+        : null;
+      const entry = {
+        client,
+        tokens: {
+          accessToken: stored.accessToken,
+          refreshToken: stored.refreshToken,
+          idToken: stored.idToken,
+        },
+        accessToken,
+        idToken,
+      };
+      remember(key, entry);
+      return entry;
+    }
+    refreshToken = stored.refreshToken;
+  }
+
+  const entry = { client, ...(await requestTokens(refreshToken, oidc)) };
+  remember(key, entry);
+  return entry;
+}
+
+/**
+ * Refresh the tokens of the request's session.
+ *
+ * Refreshes for one session (every tab and embed sharing the cookie) run one
+ * at a time, and a refresh that finished less than
+ * `keycloak.refreshReuseWindowMs` ago is handed to later callers instead of
+ * spending the rotated refresh token again. The updated session is saved
+ * before this resolves, so the next request loads the new refresh token.
+ *
+ * Serialisation is per process; instances sharing a file store only pick up
+ * each other's completed refreshes (re-read from the store before a grant).
+ *
+ * @param {Object} req - Express request with an authenticated session; req.user is updated in place
+ * @param {Object} oidc - { tokenEndpoint, clientId, clientSecret? }
+ * @returns {Promise<{ accessToken: Object, idToken: Object|null }>} The new tokens, verified
+ * @throws {TokenRefreshError|JwtVerificationError}
+ */
+async function refreshSessionTokens(req, oidc) {
+  const user = req.user;
+  if (!user?.refreshToken) {
+    throw new TokenRefreshError("No refresh token available", {
+      code: "no_refresh_token",
+    });
+  }
+
+  const { tokens, accessToken, idToken } = await serialise(req.sessionID, () =>
+    resolveSessionTokens(req, oidc),
+  );
+
+  // Update session with new tokens
+  user.accessToken = tokens.accessToken;
+  user.refreshToken = tokens.refreshToken;
+  if (tokens.idToken) {
+    user.idToken = tokens.idToken;
+  }
+
+  try {
+    await new Promise((resolve, reject) =>
+      req.session.save((err) => (err ? reject(err) : resolve())),
+    );
+  } catch (err) {
+    throw new TokenRefreshError(`Could not save the refreshed session: ${err.message}`, {
+      code: "unavailable",
+      cause: err,
+    });
+  }
+
+  return { accessToken, idToken };
+}
+
+module.exports = {
+  TokenRefreshError,
+  getHostOidcConfig,
+  expiresSoon,
+  refreshSessionTokens,
+};
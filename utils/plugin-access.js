@@ -0,0 +1,147 @@
+/**
+ * Plugin Access Control
+ *
+ * Evaluates a plugin manifest's `access` rules against the current user's
+ * decoded Keycloak tokens (see decodeUserTokens in utils/jwt.js).
+ *
+ * Supported rules (all optional):
+ * - realmRoles:  ["role", ...]            -> realm_access.roles
+ * - clientRoles: { clientId: ["role"] }   -> resource_access[clientId].roles
+ * - groups:      ["/group", ...]          -> groups
+ * - claims:      { "claim.path": value }  -> any claim, dot paths allowed
+ *
+ * Each list rule passes if the user has at least one of the listed values.
+ * A claim rule passes if the claim equals the value (or one of the values
+ * when an array is given). Every rule present must pass. Plugins without
+ * `access` are open to any authenticated user.
+ */
+
+const { verifyUserTokens } = require("./jwt-verify");
+
+/**
+ * Merge ID and access token claims; access token claims win.
+ *
+ * @param {Object|null} decodedTokens - Result of decodeUserTokens
+ * @returns {Object} Claims object
+ */
+function getUserClaims(decodedTokens) {
+  return {
+    ...(decodedTokens?.idToken?.payload || {}),
+    ...(decodedTokens?.accessToken?.payload || {}),
+  };
+}
+
+function getClaim(claims, claimPath) {
+  return claimPath
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), claims);
+}
+
+function hasAny(actual, required) {
+  const values = Array.isArray(actual) ? actual : [];
+  return required.some((value) => values.includes(value));
+}
+
+function claimMatches(actual, expected) {
+  const allowed = Array.isArray(expected) ? expected : [expected];
+  if (Array.isArray(actual)) {
+    return actual.some((value) => allowed.includes(value));
+  }
+  return allowed.includes(actual);
+}
+
+/**
+ * Evaluate a plugin's access rules for a user.
+ *
+ * @param {Object} plugin - The plugin manifest
+ * @param {Object|null} decodedTokens - Result of decodeUserTokens
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+function evaluatePluginAccess(plugin, decodedTokens) {
+  const access = plugin?.access;
+  if (!access) return { allowed: true, reason: null };
+
+  const claims = getUserClaims(decodedTokens);
+
+  if (access.realmRoles?.length) {
+    if (!hasAny(claims.realm_access?.roles, access.realmRoles)) {
+      return {
+        allowed: false,
+        reason: `requires realm role: ${access.realmRoles.join(" or ")}`,
+      };
+    }
+  }
+
+  for (const [clientId, roles] of Object.entries(access.clientRoles || {})) {
+    if (roles.length && !hasAny(claims.resource_access?.[clientId]?.roles, roles)) {
+      return {
+        allowed: false,
+        reason: `requires ${clientId} client role: ${roles.join(" or ")}`,
+      };
+    }
+  }
+
+  if (access.groups?.length) {
+    if (!hasAny(claims.groups, access.groups)) {
+      return {
+        allowed: false,
+        reason: `requires group: ${access.groups.join(" or ")}`,
+      };
+    }
+  }
+
+  for (const [claimPath, expected] of Object.entries(access.claims || {})) {
+    if (!claimMatches(getClaim(claims, claimPath), expected)) {
+      return { allowed: false, reason: `requires claim ${claimPath}` };
+    }
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Check whether a user has a realm role.
+ *
+ * @param {Object|null} decodedTokens - Result of decodeUserTokens
+ * @param {string} role - Realm role name
+ * @returns {boolean}
+ */
+function hasRealmRole(decodedTokens, role) {
+  return hasAny(getUserClaims(decodedTokens).realm_access?.roles, [role]);
+}
+
+/**
+ * Check whether a user may launch a plugin.
+ *
+ * @param {Object} plugin - The plugin manifest
+ * @param {Object|null} decodedTokens - Result of decodeUserTokens
+ * @returns {boolean}
+ */
+function canAccessPlugin(plugin, decodedTokens) {
+  return evaluatePluginAccess(plugin, decodedTokens).allowed;
+}
+
+/**
+ * Check whether a request may load a plugin's files (its modules and
+ * assets), which carry the same data as the launch page. Plugins without
+ * `access` rules are public. The file routes run before the per-request
+ * token verification, so restricted plugins verify the session's tokens
+ * here.
+ *
+ * @param {import("express").Request} req
+ * @param {Object} plugin - The plugin manifest
+ * @returns {Promise<boolean>}
+ */
+async function canLoadPluginFiles(req, plugin) {
+  if (!plugin.access) return true;
+  if (!req.isAuthenticated()) return false;
+  const decodedTokens = req.verifiedTokens || (await verifyUserTokens(req.user)).tokens;
+  return canAccessPlugin(plugin, decodedTokens);
+}
+
+module.exports = {
+  evaluatePluginAccess,
+  canAccessPlugin,
+  canLoadPluginFiles,
+  hasRealmRole,
+};
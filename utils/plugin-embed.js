@@ -0,0 +1,91 @@
+/**
+ * Plugin Embed Preparation
+ *
+ * Server-side steps needed before a plugin can be rendered into a
+ * chefs-form-viewer: acquire a (cached) gateway token for the plugin's CHEFS
+ * target (see utils/plugin-environment.js) with its server-only API key and
+ * run its serverRegister hook. Shared by the single-plugin embed, the
+ * composite page and the CHEFS token refresh endpoint.
+ */
+const { getChefsToken, tokenExpiresAt } = require("./chefs-token-cache");
+const { runServerHook } = require("./plugin-server-hook");
+
+/**
+ * Build the raw request context passed to plugin register() functions.
+ *
+ * @param {import("express").Request} req - The incoming request
+ * @param {Object|null} decodedTokens - Result of decodeUserTokens
+ * @returns {Object} Request context
+ */
+function buildRequestContext(req, decodedTokens) {
+  return {
+    headers: req.headers,
+    bearerToken: req.user?.accessToken || null,
+    tokenExpiresAt: decodedTokens?.accessToken?.payload?.exp || null,
+    decoded: decodedTokens,
+  };
+}
+
+/**
+ * Acquire a CHEFS gateway token for a plugin's form.
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @param {Object} target - The plugin's CHEFS target (see getPluginTarget)
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Fetch a new token instead of
+ *   the cached one (to renew a token the browser already holds)
+ * @returns {Promise<{ environment: string|null, formId: string, baseUrl: string, authToken: string, authTokenExpiresAt: number }>}
+ * @throws {Error} If no API key is configured or the token fetch fails
+ */
+async function preparePluginToken(plugin, target, { forceRefresh = false } = {}) {
+  // Keep auth acquisition server-side (form-id + api-key).
+  // The API key comes from server-only secrets, never from the public module.
+  if (!target.apiKey) {
+    throw new Error(
+      `No API key configured for plugin "${plugin.slug}"` +
+        (target.environment ? ` in environment "${target.environment}"` : "") +
+        ` (set ${target.apiKeyRef || "apiKeyRef"})`,
+    );
+  }
+
+  const { environment, formId, baseUrl } = target;
+  // Reuses a cached gateway token for this form until shortly before it expires
+  const authToken = await getChefsToken(formId, target.apiKey, baseUrl, {
+    forceRefresh,
+  });
+
+  return {
+    environment,
+    formId,
+    baseUrl,
+    authToken,
+    // Epoch seconds, used by the client to renew the gateway token in time
+    authTokenExpiresAt: Math.floor(tokenExpiresAt(authToken) / 1000),
+  };
+}
+
+/**
+ * Prepare everything the view needs to embed one plugin.
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @param {Object} context
+ * @param {import("express").Request} context.req - The incoming request
+ * @param {Object|null} context.decodedTokens - Result of decodeUserTokens
+ * @param {Object} context.target - The plugin's CHEFS target (see getPluginTarget)
+ * @returns {Promise<{ environment: string|null, formId: string, baseUrl: string, authToken: string, authTokenExpiresAt: number, serverResult: Object|null }>}
+ * @throws {Error} If no API key is configured or the token or hook fails
+ */
+async function preparePluginEmbed(plugin, { req, decodedTokens, target }) {
+  const token = await preparePluginToken(plugin, target);
+
+  // Optional server-side hook: hostData / attribute overrides from server-only sources
+  const serverResult = await runServerHook(plugin, {
+    req,
+    user: req.user,
+    decodedTokens,
+  });
+
+  return { ...token, serverResult };
+}
+
+module.exports = { buildRequestContext, preparePluginToken, preparePluginEmbed };
@@ -0,0 +1,112 @@
+/**
+ * Plugin Environments
+ *
+ * Resolves which CHEFS instance, form and API key a plugin uses. A manifest
+ * may declare per-environment targets:
+ *
+ *   environments: {
+ *     dev:  { baseUrl, formId, apiKeyRef },
+ *     prod: { baseUrl, formId, apiKeyRef },
+ *   }
+ *
+ * The active environment comes from config (CHEFS_ENV); users with the
+ * override role (CHEFS_ENV_OVERRIDE_ROLE) may pick another one per request.
+ * Missing fields fall back to the manifest's top-level formId / baseUrl /
+ * apiKeyRef. Plugins without `environments` use their top-level values in
+ * every environment.
+ */
+const config = require("../config");
+const { getPluginApiKey } = require("./plugin-registry");
+const { resolveSecret } = require("./plugin-secrets");
+const { hasRealmRole } = require("./plugin-access");
+
+/**
+ * Pick the environment for a request.
+ *
+ * @param {string|undefined} requested - Environment asked for (e.g. ?env=test)
+ * @param {Object|null} decodedTokens - Result of decodeUserTokens
+ * @returns {{ environment: string, allowed: boolean, overridden: boolean }}
+ *   `allowed` is false when a non-admin asks for another environment
+ */
+function selectEnvironment(requested, decodedTokens) {
+  const active = config.chefs.environment;
+  if (!requested || requested === active) {
+    return { environment: active, allowed: true, overridden: false };
+  }
+  const allowed = hasRealmRole(
+    decodedTokens,
+    config.chefs.environmentOverrideRole,
+  );
+  return {
+    environment: allowed ? requested : active,
+    allowed,
+    overridden: allowed,
+  };
+}
+
+/**
+ * Check whether the current user may choose an environment per request.
+ *
+ * @param {Object|null} decodedTokens - Result of decodeUserTokens
+ * @returns {boolean}
+ */
+function canOverrideEnvironment(decodedTokens) {
+  return hasRealmRole(decodedTokens, config.chefs.environmentOverrideRole);
+}
+
+/**
+ * Names of the environments a plugin declares (empty for single-target plugins).
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @returns {Array<string>}
+ */
+function getPluginEnvironments(plugin) {
+  return Object.keys(plugin.environments || {});
+}
+
+/**
+ * Resolve a plugin's CHEFS target in an environment.
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @param {string} [environment] - Environment name (defaults to the active one)
+ * @returns {{ environment: string|null, formId: string, baseUrl: string, formVersion: number|null, apiKeyRef: string|null, apiKey: string|null }|null}
+ *   `environment` is null for plugins without `environments`; null when the
+ *   plugin does not declare the requested environment
+ */
+function getPluginTarget(plugin, environment = config.chefs.environment) {
+  if (!plugin.environments) {
+    return {
+      environment: null,
+      formId: plugin.formId,
+      baseUrl:
+        config.chefs.baseUrlOverride || plugin.baseUrl || config.chefs.baseUrl,
+      formVersion: plugin.formVersion ?? null,
+      apiKeyRef: plugin.apiKeyRef || null,
+      apiKey: getPluginApiKey(plugin.slug, plugin.version),
+    };
+  }
+
+  const target = plugin.environments[environment];
+  if (!target) return null;
+
+  const apiKeyRef = target.apiKeyRef || plugin.apiKeyRef || null;
+  return {
+    environment,
+    formId: target.formId,
+    baseUrl:
+      config.chefs.baseUrlOverride ||
+      target.baseUrl ||
+      plugin.baseUrl ||
+      config.chefs.baseUrl,
+    formVersion: target.formVersion ?? plugin.formVersion ?? null,
+    apiKeyRef,
+    apiKey: resolveSecret(apiKeyRef),
+  };
+}
+
+module.exports = {
+  selectEnvironment,
+  canOverrideEnvironment,
+  getPluginEnvironments,
+  getPluginTarget,
+};
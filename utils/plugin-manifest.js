@@ -0,0 +1,324 @@
+/**
+ * Plugin Manifest Schema
+ *
+ * Formal description of the `manifest` export every plugin module provides,
+ * plus a small validator used by the plugin registry at startup.
+ *
+ * The schema covers the registry fields (slug, formId, baseUrl, ...), the
+ * token refresh configuration, hostData and every attribute the embed view
+ * maps onto <chefs-form-viewer>. Unknown keys are reported so that typos
+ * (e.g. `tokenRefesh`) fail loudly instead of being silently ignored.
+ */
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// apiKeyRef names are confined to their own namespace so a manifest cannot
+// name a server secret (SESSION_SECRET, KEYCLOAK_CLIENT_SECRET, ...) and have
+// it sent to the manifest's baseUrl as the form's API key
+const SECRET_NAME_PATTERN = /^CHEFS_API_KEY_[A-Z0-9_]+$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+// Server-only plugin modules (serverRegister hooks); never served to browsers
+const SERVER_MODULE_PATTERN = /\.server\.js$/i;
+
+/**
+ * Manifest/config keys the embed view maps onto <chefs-form-viewer> attributes.
+ * `json: true` attributes are serialised with JSON.stringify before being set.
+ */
+const EMBED_ATTRIBUTES = [
+  { key: "token", attr: "token", json: true, type: "object" },
+  { key: "user", attr: "user", json: true, type: "object" },
+  { key: "headers", attr: "headers", json: true, type: "object" },
+  { key: "hostData", attr: "host-data", json: true, type: "object" },
+  { key: "themeCss", attr: "theme-css", type: "string" },
+  { key: "language", attr: "language", type: "string" },
+  { key: "submissionId", attr: "submission-id", type: "string" },
+  { key: "readOnly", attr: "read-only", type: "boolean" },
+  { key: "noShadow", attr: "no-shadow", type: "boolean" },
+  { key: "debug", attr: "debug", type: "boolean" },
+  { key: "isolateStyles", attr: "isolate-styles", type: "boolean" },
+  { key: "noIcons", attr: "no-icons", type: "boolean" },
+  { key: "submitButtonKey", attr: "submit-button-key", type: "string" },
+  { key: "printButtonKey", attr: "print-button-key", type: "string" },
+  { key: "printEventName", attr: "print-event-name", type: "string" },
+  { key: "autoReloadOnSubmit", attr: "auto-reload-on-submit", type: "boolean" },
+  { key: "submitMode", attr: "submit-mode", type: "string", enum: ["host"] },
+];
+
+const attributeProperties = Object.fromEntries(
+  EMBED_ATTRIBUTES.map(({ key, type, enum: values }) => [
+    key,
+    values ? { type, enum: values } : { type },
+  ]),
+);
+
+const manifestSchema = {
+  type: "object",
+  required: ["slug", "name"],
+  additionalProperties: false,
+  properties: {
+    slug: { type: "string", pattern: SLUG_PATTERN },
+    name: { type: "string" },
+    description: { type: "string" },
+    // Plugin version ("major.minor.patch[-prerelease]"); several versions may share a slug
+    version: { type: "string", pattern: VERSION_PATTERN },
+    // Mark this version as the one launched when no version is requested
+    default: { type: "boolean" },
+    formId: { type: "string", pattern: UUID_PATTERN },
+    // CHEFS form version this plugin version targets (informational)
+    formVersion: { type: "number", minimum: 1 },
+    // Stored snapshot of the form schema in form_schemas/ (see npm run schema:drift)
+    schemaSnapshot: { type: "string", pattern: /^[\w.-]+\.json$/ },
+    // Name of the server-side secret holding the CHEFS API key
+    apiKeyRef: { type: "string", pattern: SECRET_NAME_PATTERN },
+    baseUrl: { type: "string", format: "url" },
+    // Per-environment CHEFS targets; entries override formId/baseUrl/apiKeyRef above
+    environments: {
+      type: "object",
+      properties: {},
+      additionalProperties: {
+        type: "object",
+        required: ["formId"],
+        additionalProperties: false,
+        properties: {
+          formId: { type: "string", pattern: UUID_PATTERN },
+          baseUrl: { type: "string", format: "url" },
+          apiKeyRef: { type: "string", pattern: SECRET_NAME_PATTERN },
+          formVersion: { type: "number", minimum: 1 },
+        },
+      },
+    },
+    tokenRefresh: {
+      type: "object",
+      required: ["oidc"],
+      additionalProperties: false,
+      properties: {
+        oidc: {
+          oneOf: [
+            { type: "string", enum: ["host"] },
+            {
+              type: "object",
+              required: ["tokenEndpoint", "clientId"],
+              additionalProperties: false,
+              properties: {
+                tokenEndpoint: { type: "string", format: "url" },
+                clientId: { type: "string" },
+              },
+            },
+          ],
+        },
+        buffer: { type: "number", minimum: 0 },
+      },
+    },
+    // Who may launch the plugin (see utils/plugin-access.js)
+    access: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        realmRoles: { type: "array", items: { type: "string" } },
+        clientRoles: {
+          type: "object",
+          properties: {},
+          additionalProperties: { type: "array", items: { type: "string" } },
+        },
+        groups: { type: "array", items: { type: "string" } },
+        claims: { type: "object" },
+      },
+    },
+    ...attributeProperties,
+  },
+};
+
+/**
+ * Schema for the package.json of a folder-based plugin package.
+ */
+const packageSchema = {
+  type: "object",
+  required: ["chefsPlugin"],
+  properties: {
+    chefsPlugin: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        // Entry module, relative to the package directory (default "index.js")
+        main: { type: "string", pattern: /\.js$/ },
+        // Directory of static assets served at /plugin-assets/<slug>@<version>/
+        assets: { type: "string" },
+        // Form schema fixture for the plugin's CHEFS form
+        schema: { type: "string", pattern: /\.json$/ },
+        // Server-only module exporting serverRegister (must end in .server.js)
+        server: { type: "string", pattern: SERVER_MODULE_PATTERN },
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function isUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function validateValue(schema, value, path, errors) {
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(
+      (option) => validateValue(option, value, path, []).length === 0,
+    );
+    if (matches.length !== 1) {
+      errors.push({
+        path,
+        message: "does not match any of the allowed shapes",
+      });
+    }
+    return errors;
+  }
+
+  const actualType = typeOf(value);
+  if (schema.type && actualType !== schema.type) {
+    errors.push({
+      path,
+      message: `must be of type ${schema.type} (got ${actualType})`,
+    });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path,
+      message: `must be one of: ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`,
+    });
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push({ path, message: `must match ${schema.pattern}` });
+  }
+  if (schema.format === "url" && !isUrl(value)) {
+    errors.push({ path, message: "must be an absolute http(s) URL" });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be >= ${schema.minimum}` });
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) =>
+      validateValue(schema.items, item, `${path}[${index}]`, errors),
+    );
+  }
+
+  if (schema.type === "object" && schema.properties) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: "is required" });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema =
+        schema.properties[key] ||
+        (typeof schema.additionalProperties === "object"
+          ? schema.additionalProperties
+          : null);
+      if (!childSchema) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: joinPath(path, key), message: "is not allowed" });
+        }
+        continue;
+      }
+      if (child !== undefined) {
+        validateValue(childSchema, child, joinPath(path, key), errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function joinPath(base, key) {
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Validate a plugin manifest against the manifest schema.
+ *
+ * @param {Object} manifest - The manifest exported by a plugin module
+ * @returns {Array<{ path: string, message: string }>} Validation errors (empty if valid)
+ */
+function validateManifest(manifest) {
+  if (typeOf(manifest) !== "object") {
+    return [{ path: "manifest", message: "must export a manifest object" }];
+  }
+  const errors = validateValue(manifestSchema, manifest, "", []).filter(
+    (error) => error.path !== "apiKey",
+  );
+  // Plugin modules are served to browsers, so a literal key is already
+  // public. The plugin is rejected rather than served with the key stripped:
+  // rewriting module source is unreliable (the key may be built from
+  // expressions or imported), and only a rejected plugin makes sure the
+  // key gets rotated and moved to a secret.
+  if (manifest.apiKey !== undefined) {
+    errors.push({
+      path: "apiKey",
+      message:
+        "is not allowed in a public manifest and has been exposed to browsers; rotate the key in CHEFS, store it as a server-side secret and reference it with apiKeyRef",
+    });
+  }
+  // formId may live in per-environment targets instead of the top level
+  const environments = typeOf(manifest.environments) === "object"
+    ? Object.keys(manifest.environments)
+    : [];
+  if (manifest.formId === undefined && environments.length === 0) {
+    errors.push({
+      path: "formId",
+      message: "is required unless environments are declared",
+    });
+  }
+  environments
+    .filter((name) => !SLUG_PATTERN.test(name))
+    .forEach((name) =>
+      errors.push({
+        path: `environments.${name}`,
+        message: `name must match ${SLUG_PATTERN}`,
+      }),
+    );
+  return errors;
+}
+
+/**
+ * Validate a plugin package's package.json.
+ *
+ * @param {Object} pkg - Parsed package.json
+ * @returns {Array<{ path: string, message: string }>} Validation errors (empty if valid)
+ */
+function validatePackage(pkg) {
+  return validateValue(packageSchema, pkg, "", []);
+}
+
+/**
+ * Format validation errors as human-readable lines.
+ *
+ * @param {Array<{ path: string, message: string }>} errors
+ * @returns {string}
+ */
+function formatManifestErrors(errors) {
+  return errors
+    .map(({ path, message }) => `  - ${path || "manifest"} ${message}`)
+    .join("\n");
+}
+
+module.exports = {
+  EMBED_ATTRIBUTES,
+  SERVER_MODULE_PATTERN,
+  SECRET_NAME_PATTERN,
+  manifestSchema,
+  packageSchema,
+  validateManifest,
+  validatePackage,
+  formatManifestErrors,
+};
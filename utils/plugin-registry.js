@@ -2,7 +2,9 @@
  * Plugin Registry
  *
  * Maintains a registry of plugin manifests for server-side use.
- * Plugins are loaded from the public/plugins directory at startup.
+ * Plugins are loaded from the public/plugins directory at startup and, when
+ * watching is enabled (config.plugins.watch), re-imported in place as files
+ * change. Changes are published on `registryEvents`.
  *
  * The registry can be queried for:
  * - All plugins
@@ -12,71 +14,627 @@
  * Plugins can specify tokenRefresh.oidc as:
  * - An object { tokenEndpoint, clientId } for custom OIDC
  * - The string "host" to use the host application's OIDC configuration
+ *
+ * Every manifest is validated against the manifest schema (see
+ * utils/plugin-manifest.js) as it is loaded. Invalid manifests and duplicate
+ * slugs are reported per file and skipped; in strict mode
+ * (config.plugins.strict) loading fails instead.
+ *
+ * A plugin is either a single `*.js` module or a package directory with a
+ * package.json containing a "chefsPlugin" field:
+ *
+ *   public/plugins/my-plugin/
+ *     package.json   { "type": "module", "chefsPlugin": { "main", "assets", "schema", "server" } }
+ *     index.js       entry module (exports manifest + register)
+ *     hooks.server.js  server-only module (exports serverRegister)
+ *     assets/        CSS, images, translations; served at /plugin-assets/<slug>@<version>/
+ *     schema.json    form schema fixture
+ *
+ * Registry entries never contain secrets. A plugin's CHEFS API key is resolved
+ * on demand with getPluginApiKey() from the secret named by `apiKeyRef` (see
+ * utils/plugin-secrets.js).
+ *
+ * A plugin may also provide `serverRegister`, a server-side hook run before
+ * the embed page renders (see utils/plugin-server-hook.js). The hook lives in
+ * a server-only module that is never served to browsers: `<name>.server.js`
+ * next to a single-file plugin, or the package's `chefsPlugin.server` entry.
+ * Exporting it from the public module is an error.
+ *
+ * Plugins are versioned: several sources may share a slug as long as their
+ * manifests declare different `version`s (default "1.0.0"). Lookups by slug
+ * alone resolve to the default version: the one marked `default: true`, else
+ * the highest release (non-prerelease) version, else the highest version.
  */
 
 const path = require("path");
 const fs = require("fs/promises");
+const { watch: fsWatch } = require("fs");
+const { EventEmitter } = require("events");
 const { pathToFileURL } = require("url");
+const crypto = require("crypto");
 const config = require("../config");
+const {
+  SERVER_MODULE_PATTERN,
+  validateManifest,
+  validatePackage,
+  formatManifestErrors,
+} = require("./plugin-manifest");
+const { resolveSecret, omitSecrets } = require("./plugin-secrets");
 
 const pluginsDir = path.join(__dirname, "..", "public", "plugins");
 
-// Registry: pluginSlug -> full manifest (with modulePath added)
+// Version assumed for manifests that do not declare one
+const DEFAULT_VERSION = "1.0.0";
+
+// Registry: "slug@version" -> full manifest (with modulePath added)
 const registry = new Map();
 
+// Emits "change" ({ type: "added" | "updated" | "removed", slug, version, revision }) on hot reload
+const registryEvents = new EventEmitter();
+registryEvents.setMaxListeners(0);
+
+// Optional server-side hooks exported as `serverRegister`: "slug@version" -> function
+const serverHooks = new Map();
+
+// Import URL of each registered plugin's module: "slug@version" -> URL
+const moduleUrls = new Map();
+
+/**
+ * Build the registry key for a plugin version.
+ *
+ * @param {string} slug - The plugin's slug identifier
+ * @param {string} version - The plugin version
+ * @returns {string}
+ */
+function pluginKey(slug, version) {
+  return `${slug}@${version}`;
+}
+
+/**
+ * Compare two version strings ("major.minor.patch[-prerelease]").
+ * Prereleases sort before the matching release.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+  const [coreA, preA] = a.split("-", 2);
+  const [coreB, preB] = b.split("-", 2);
+  const partsA = coreA.split(".").map(Number);
+  const partsB = coreB.split(".").map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i += 1) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  if (preA === preB) return 0;
+  if (!preA) return 1;
+  if (!preB) return -1;
+  return preA.localeCompare(preB, undefined, { numeric: true });
+}
+
+/**
+ * Error thrown by loadPluginRegistry in strict mode when any plugin is invalid.
+ */
+class PluginRegistryError extends Error {
+  /**
+   * @param {Array<{ file: string, errors: Array<{ path: string, message: string }> }>} problems
+   */
+  constructor(problems) {
+    super(
+      `${problems.length} plugin(s) failed validation: ${problems
+        .map((p) => p.file)
+        .join(", ")}`,
+    );
+    this.name = "PluginRegistryError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Resolve a path inside a base directory, refusing anything that escapes it.
+ *
+ * @param {string} baseDir - Absolute base directory
+ * @param {string} relPath - Relative path from the package manifest
+ * @returns {string|null} Absolute path or null if it escapes baseDir
+ */
+function resolveInside(baseDir, relPath) {
+  const resolved = path.resolve(baseDir, relPath);
+  return resolved === baseDir || resolved.startsWith(baseDir + path.sep)
+    ? resolved
+    : null;
+}
+
+/**
+ * The plugin source a file in the plugins directory belongs to: a
+ * `<name>.server.js` module belongs to `<name>.js`.
+ *
+ * @param {string} name - Top-level file or directory name
+ * @returns {string}
+ */
+function sourceOf(name) {
+  return SERVER_MODULE_PATTERN.test(name) ? name.replace(SERVER_MODULE_PATTERN, ".js") : name;
+}
+
+/**
+ * Describe a plugin source: either a single-file module ("print-demo.js") or
+ * a package directory ("theme-css-demo") whose package.json has a
+ * "chefsPlugin" field.
+ *
+ * @param {string} source - File or directory name within the plugins directory
+ * @returns {Promise<Object|null>} { source, file, serverFile, packageDir?, assetsDir?, schemaFile?, errors } or null if not a plugin
+ */
+async function describeSource(source) {
+  const absPath = path.join(pluginsDir, source);
+  const stat = await fs.stat(absPath).catch(() => null);
+  if (!stat) return null;
+
+  if (stat.isFile()) {
+    // Server-only modules are loaded with the plugin they belong to
+    if (!source.endsWith(".js") || SERVER_MODULE_PATTERN.test(source)) return null;
+    const serverPath = path.join(pluginsDir, source.replace(/\.js$/, ".server.js"));
+    const hasServer = await fs.stat(serverPath).then((s) => s.isFile(), () => false);
+    return { source, file: source, serverFile: hasServer ? serverPath : null, errors: [] };
+  }
+  if (!stat.isDirectory()) return null;
+
+  let pkg;
+  try {
+    pkg = JSON.parse(await fs.readFile(path.join(absPath, "package.json"), "utf8"));
+  } catch {
+    return null;
+  }
+  if (!pkg.chefsPlugin) return null;
+
+  const errors = validatePackage(pkg).map((error) => ({
+    ...error,
+    path: `package.json ${error.path}`,
+  }));
+  if (errors.length > 0) return { source, file: source, errors };
+
+  const { main = "index.js", assets, schema, server } = pkg.chefsPlugin;
+  const entryPath = resolveInside(absPath, main);
+  const assetsDir = assets ? resolveInside(absPath, assets) : null;
+  const schemaFile = schema ? resolveInside(absPath, schema) : null;
+  const serverFile = server ? resolveInside(absPath, server) : null;
+  if (
+    !entryPath ||
+    (assets && !assetsDir) ||
+    (schema && !schemaFile) ||
+    (server && !serverFile)
+  ) {
+    errors.push({
+      path: "package.json chefsPlugin",
+      message: "paths must stay inside the package directory",
+    });
+  }
+  if (SERVER_MODULE_PATTERN.test(main)) {
+    errors.push({
+      path: "package.json chefsPlugin.main",
+      message: "must not be a server-only (.server.js) module",
+    });
+  }
+  if (serverFile && assetsDir && serverFile.startsWith(assetsDir + path.sep)) {
+    errors.push({
+      path: "package.json chefsPlugin.server",
+      message: "must not be inside the public assets directory",
+    });
+  }
+
+  return {
+    source,
+    file: entryPath ? path.relative(pluginsDir, entryPath).split(path.sep).join("/") : source,
+    packageDir: absPath,
+    assetsDir,
+    schemaFile,
+    serverFile,
+    errors,
+  };
+}
+
+/**
+ * Import URL for a module in the plugins directory, keyed on its content.
+ *
+ * ESM imports are cached by URL and Node never frees a loaded module, so
+ * every re-import under a new URL stays in memory for the life of the
+ * process. Keying the URL on a hash of the content loads each distinct
+ * version of a file once: saving without changes or reverting an edit
+ * reuses the earlier module, and only genuinely new edits add one.
+ *
+ * @param {string} absPath
+ * @returns {Promise<string>}
+ */
+async function moduleUrl(absPath) {
+  const content = await fs.readFile(absPath);
+  const url = pathToFileURL(absPath);
+  url.search = `?v=${crypto.createHash("sha256").update(content).digest("hex").slice(0, 16)}`;
+  return url.href;
+}
+
+/**
+ * Import a plugin source and validate its manifest.
+ * Does not modify the registry.
+ *
+ * @param {string} source - File or directory name within the plugins directory
+ * @returns {Promise<{ entry: Object|null, moduleUrl: string|null, serverHook: Function|null, slug: string|null, errors: Array<Object> }|null>} Null if source is not a plugin
+ */
+async function importPluginSource(source) {
+  const failed = (errors, slug = null) => ({
+    entry: null,
+    moduleUrl: null,
+    serverHook: null,
+    slug,
+    errors,
+  });
+
+  try {
+    const described = await describeSource(source);
+    if (!described) return null;
+    if (described.errors.length > 0) return failed(described.errors);
+
+    const { file, packageDir, assetsDir, schemaFile, serverFile } = described;
+    const absPath = path.join(pluginsDir, file);
+    const moduleRevision = Math.floor((await fs.stat(absPath)).mtimeMs);
+    const serverRevision = serverFile
+      ? Math.floor((await fs.stat(serverFile)).mtimeMs)
+      : 0;
+    // An edit to either module counts as a new revision
+    const revision = Math.max(moduleRevision, serverRevision);
+
+    const url = await moduleUrl(absPath);
+    const mod = await import(url);
+    const serverMod = serverFile ? await import(await moduleUrl(serverFile)) : null;
+    const manifest = mod.manifest;
+
+    const errors = validateManifest(manifest);
+    const version = manifest?.version || DEFAULT_VERSION;
+    const existing =
+      manifest?.slug && registry.get(pluginKey(manifest.slug, version));
+    if (existing && existing.source !== source) {
+      errors.push({
+        path: "slug",
+        message: `"${manifest.slug}" version ${version} is already registered by ${existing.file}`,
+      });
+    }
+    if (typeof mod.register !== "function") {
+      errors.push({ path: "register", message: "must be an exported function" });
+    }
+    if (mod.serverRegister !== undefined) {
+      errors.push({
+        path: "serverRegister",
+        message:
+          "must be exported from a server-only module (<name>.server.js or chefsPlugin.server), not the public module",
+      });
+    }
+    if (serverMod && typeof serverMod.serverRegister !== "function") {
+      errors.push({
+        path: "serverRegister",
+        message: `must be an exported function in ${path.relative(pluginsDir, serverFile)}`,
+      });
+    }
+
+    if (errors.length > 0) {
+      return failed(errors, manifest?.slug || null);
+    }
+
+    return {
+      entry: {
+        ...omitSecrets(manifest),
+        version,
+        key: pluginKey(manifest.slug, version),
+        source,
+        file,
+        revision,
+        // Revision in the URL makes browsers fetch the updated module after a reload
+        modulePath: `/plugins/${file}?rev=${revision}`,
+        hasServerHook: !!serverMod,
+        ...(packageDir && {
+          package: source,
+          assetsPath: assetsDir
+            ? `/plugin-assets/${encodeURIComponent(pluginKey(manifest.slug, version))}/`
+            : null,
+          assetsDir,
+          schemaFile,
+        }),
+      },
+      moduleUrl: url,
+      serverHook: serverMod?.serverRegister || null,
+      slug: manifest.slug,
+      errors,
+    };
+  } catch (err) {
+    return failed([{ path: "module", message: `failed to load: ${err.message}` }]);
+  }
+}
+
+/**
+ * Put a loaded plugin into the registry.
+ *
+ * @param {{ entry: Object, moduleUrl: string, serverHook: Function|null }} loaded - Result of importPluginSource
+ */
+function registerEntry({ entry, moduleUrl: url, serverHook }) {
+  moduleUrls.set(entry.key, url);
+  serverHooks.delete(entry.key);
+  if (serverHook) {
+    serverHooks.set(entry.key, serverHook);
+  }
+  registry.set(entry.key, entry);
+}
+
+/**
+ * Remove every registry entry loaded from the given source.
+ *
+ * @param {string} source - File or directory name within the plugins directory
+ * @returns {Array<Object>} Entries that were removed
+ */
+function unregisterSource(source) {
+  const removed = [];
+  for (const [key, entry] of registry) {
+    if (entry.source === source) {
+      registry.delete(key);
+      serverHooks.delete(key);
+      moduleUrls.delete(key);
+      removed.push(entry);
+    }
+  }
+  return removed;
+}
+
 /**
  * Load all plugin manifests into the registry.
  * Should be called at server startup.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=config.plugins.strict] - Throw if any plugin is invalid
+ * @returns {Promise<{ loaded: number, problems: Array<Object> }>} Load report
+ * @throws {PluginRegistryError} In strict mode, if any plugin failed to load or validate
  */
-async function loadPluginRegistry() {
+async function loadPluginRegistry({ strict = config.plugins.strict } = {}) {
   registry.clear();
+  serverHooks.clear();
+  moduleUrls.clear();
+  const problems = [];
 
   try {
-    const entries = await fs.readdir(pluginsDir);
-    const jsFiles = entries.filter((name) => name.endsWith(".js"));
-
-    for (const file of jsFiles) {
-      const absPath = path.join(pluginsDir, file);
-      const modulePath = `/plugins/${file}`;
-      try {
-        const mod = await import(pathToFileURL(absPath));
-        const manifest = mod.manifest;
-
-        if (manifest?.slug) {
-          registry.set(manifest.slug, {
-            ...manifest,
-            modulePath,
-          });
-          console.log(`[plugin-registry] Registered plugin: ${manifest.slug}`);
-        }
-      } catch (err) {
-        console.error(`[plugin-registry] Failed to load ${file}:`, err.message);
+    const sources = await fs.readdir(pluginsDir);
+
+    for (const source of sources) {
+      const loaded = await importPluginSource(source);
+      if (!loaded) continue;
+      if (loaded.errors.length > 0) {
+        problems.push({ file: source, slug: loaded.slug, errors: loaded.errors });
+        console.error(
+          `[plugin-registry] Invalid plugin ${source}:\n${formatManifestErrors(loaded.errors)}`,
+        );
+        continue;
       }
+      registerEntry(loaded);
+      console.log(
+        `[plugin-registry] Registered plugin: ${loaded.slug}@${loaded.entry.version}`,
+      );
     }
   } catch (err) {
     console.error("[plugin-registry] Failed to read plugins directory:", err);
   }
 
-  console.log(`[plugin-registry] Loaded ${registry.size} plugins`);
+  console.log(
+    `[plugin-registry] Loaded ${registry.size} plugin versions` +
+      (problems.length ? ` (${problems.length} rejected)` : ""),
+  );
+
+  if (strict && problems.length > 0) {
+    throw new PluginRegistryError(problems);
+  }
+
+  return { loaded: registry.size, problems };
 }
 
 /**
- * Get all registered plugins.
+ * Re-import a single plugin source and update the registry in place.
+ * Emits a "change" event on registryEvents for every added, updated or
+ * removed plugin. An invalid edit leaves the previous version registered.
+ *
+ * @param {string} source - File or directory name within the plugins directory
+ * @returns {Promise<Array<{ type: string, slug: string, version: string, revision?: number }>>} Changes applied
+ */
+async function reloadPluginSource(source) {
+  const changes = [];
+  const loaded = await importPluginSource(source);
+
+  if (!loaded) {
+    unregisterSource(source).forEach(({ slug, version }) =>
+      changes.push({ type: "removed", slug, version }),
+    );
+  } else {
+    if (loaded.errors.length > 0) {
+      console.error(
+        `[plugin-registry] Ignoring invalid edit to ${source}, keeping previous version:\n` +
+          formatManifestErrors(loaded.errors),
+      );
+      return changes;
+    }
+
+    const previous = getAllPluginVersions().find((p) => p.source === source);
+    // Asset-only edits in a package keep the module revision but still count as updates
+    if (
+      previous?.key === loaded.entry.key &&
+      previous.revision === loaded.entry.revision &&
+      !previous.package
+    ) {
+      return changes;
+    }
+    if (previous && previous.key !== loaded.entry.key) {
+      unregisterSource(source);
+      changes.push({
+        type: "removed",
+        slug: previous.slug,
+        version: previous.version,
+      });
+    }
+    registerEntry(loaded);
+    changes.push({
+      type: previous?.key === loaded.entry.key ? "updated" : "added",
+      slug: loaded.slug,
+      version: loaded.entry.version,
+      revision: loaded.entry.revision,
+    });
+  }
+
+  changes.forEach((change) => {
+    console.log(
+      `[plugin-registry] Plugin ${change.type}: ${change.slug}@${change.version} (${source})`,
+    );
+    registryEvents.emit("change", change);
+  });
+  return changes;
+}
+
+/**
+ * Watch the plugins directory and hot-reload changed plugins.
+ * A change anywhere inside a package directory reloads that package.
+ * Editors often emit several events per save, so reloads are debounced per source.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs=150] - Quiet period before reloading a source
+ * @returns {{ close: Function }} Handle to stop watching
+ */
+function watchPluginRegistry({ debounceMs = 150 } = {}) {
+  const timers = new Map();
+
+  const watcher = fsWatch(pluginsDir, { recursive: true }, (eventType, filename) => {
+    if (!filename) return;
+    const [name, ...rest] = filename.split(path.sep);
+    // Top-level files other than modules (e.g. package.json, loose CSS) are not plugins
+    if (rest.length === 0 && path.extname(name) && !name.endsWith(".js")) return;
+    const source = rest.length === 0 ? sourceOf(name) : name;
+    clearTimeout(timers.get(source));
+    timers.set(
+      source,
+      setTimeout(() => {
+        timers.delete(source);
+        reloadPluginSource(source).catch((err) =>
+          console.error(`[plugin-registry] Reload of ${source} failed:`, err),
+        );
+      }, debounceMs),
+    );
+  });
+
+  console.log(`[plugin-registry] Watching ${pluginsDir} for changes`);
+
+  return {
+    close() {
+      timers.forEach((timer) => clearTimeout(timer));
+      watcher.close();
+    },
+  };
+}
+
+/**
+ * Get every registered version of every plugin.
  *
  * @returns {Array<Object>} Array of plugin manifests
  */
-function getAllPlugins() {
+function getAllPluginVersions() {
   return Array.from(registry.values());
 }
 
+/**
+ * Get all registered versions of a plugin, newest first.
+ *
+ * @param {string} slug - The plugin's slug identifier
+ * @returns {Array<Object>} Array of plugin manifests
+ */
+function getPluginVersions(slug) {
+  return getAllPluginVersions()
+    .filter((plugin) => plugin.slug === slug)
+    .sort((a, b) => compareVersions(b.version, a.version));
+}
+
+/**
+ * Pick the default version among a plugin's versions.
+ *
+ * @param {Array<Object>} versions - Versions of one plugin, newest first
+ * @returns {Object|null}
+ */
+function pickDefaultVersion(versions) {
+  return (
+    versions.find((plugin) => plugin.default === true) ||
+    versions.find((plugin) => !plugin.version.includes("-")) ||
+    versions[0] ||
+    null
+  );
+}
+
+/**
+ * Get all registered plugins (the default version of each).
+ *
+ * @returns {Array<Object>} Array of plugin manifests
+ */
+function getAllPlugins() {
+  const slugs = new Set(getAllPluginVersions().map((plugin) => plugin.slug));
+  return Array.from(slugs, (slug) => pickDefaultVersion(getPluginVersions(slug)));
+}
+
 /**
  * Get a plugin manifest by slug.
  *
  * @param {string} slug - The plugin's slug identifier
+ * @param {string} [version] - Specific version; defaults to the plugin's default version
  * @returns {Object|null} The plugin manifest or null if not found
  */
-function getPlugin(slug) {
-  return registry.get(slug) || null;
+function getPlugin(slug, version) {
+  if (version) return registry.get(pluginKey(slug, version)) || null;
+  return pickDefaultVersion(getPluginVersions(slug));
+}
+
+/**
+ * Get the registered plugin a file in the plugins directory belongs to: a
+ * single-file module, or any file inside a package directory.
+ *
+ * @param {string} relPath - Path relative to the plugins directory ("/"-separated)
+ * @returns {Object|null} The plugin manifest or null if no registered plugin owns it
+ */
+function getPluginForPath(relPath) {
+  const source = relPath.split("/")[0];
+  return getAllPluginVersions().find((plugin) => plugin.source === source) || null;
+}
+
+/**
+ * Resolve the CHEFS API key for a plugin from the secret named by the
+ * manifest's apiKeyRef (literal apiKeys are rejected at load).
+ *
+ * @param {string} slug - The plugin's slug identifier
+ * @param {string} [version] - Specific version; defaults to the plugin's default version
+ * @returns {string|null} The API key or null if not configured
+ */
+function getPluginApiKey(slug, version) {
+  const plugin = getPlugin(slug, version);
+  if (!plugin) return null;
+  return resolveSecret(plugin.apiKeyRef) || null;
+}
+
+/**
+ * Get a plugin's server-side register hook, if it exports one.
+ *
+ * @param {string} slug - The plugin's slug identifier
+ * @param {string} [version] - Specific version; defaults to the plugin's default version
+ * @returns {Function|null} The plugin's `serverRegister` export or null
+ */
+function getPluginServerHook(slug, version) {
+  const plugin = getPlugin(slug, version);
+  return (plugin && serverHooks.get(plugin.key)) || null;
+}
+
+/**
+ * Import a registered plugin's module server-side (e.g. for tooling that
+ * runs its register()). Returns the module the registry loaded (already
+ * cached, so no new module is created).
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @returns {Promise<Object>} The module namespace
+ */
+async function importPluginModule(plugin) {
+  return import(moduleUrls.get(plugin.key));
 }
 
 /**
@@ -110,6 +668,115 @@ function getPluginsWithTokenRefresh() {
   return getPluginsWhere(hasTokenRefresh);
 }
 
+/**
+ * Capability predicates, keyed by the name used for filtering.
+ */
+const PLUGIN_CAPABILITIES = {
+  tokenRefresh: hasTokenRefresh,
+  hostData: (plugin) => !!plugin?.hostData,
+  submitModeHost: (plugin) => plugin?.submitMode === "host",
+  themeCss: (plugin) => !!plugin?.themeCss,
+};
+
+/**
+ * List the capability names a plugin has.
+ *
+ * @param {Object} plugin - The plugin manifest
+ * @returns {Array<string>}
+ */
+function getPluginCapabilities(plugin) {
+  return Object.keys(PLUGIN_CAPABILITIES).filter((name) =>
+    PLUGIN_CAPABILITIES[name](plugin),
+  );
+}
+
+/**
+ * Find plugins by capability and free-text search.
+ *
+ * @param {Object} [query]
+ * @param {Array<string>} [query.capabilities] - Capability names the plugin must all have
+ * @param {string} [query.search] - Case-insensitive text matched against slug, name and description
+ * @returns {Array<Object>} Array of matching plugin manifests
+ * @throws {Error} If an unknown capability is requested
+ */
+function findPlugins({ capabilities = [], search = "" } = {}) {
+  const unknown = capabilities.filter((name) => !PLUGIN_CAPABILITIES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown capability: ${unknown.join(", ")}`);
+  }
+
+  const needle = search.trim().toLowerCase();
+  return getPluginsWhere(
+    (plugin) =>
+      capabilities.every((name) => PLUGIN_CAPABILITIES[name](plugin)) &&
+      (!needle ||
+        [plugin.slug, plugin.name, plugin.description].some((value) =>
+          value?.toLowerCase().includes(needle),
+        )),
+  );
+}
+
+/**
+ * Shape a registry entry for clients outside the server (browser, tooling).
+ * Drops server-only fields and adds derived capabilities.
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @returns {Object} Public manifest
+ */
+function toPublicManifest(plugin) {
+  const {
+    key,
+    source,
+    file,
+    apiKeyRef,
+    hasServerHook,
+    assetsDir,
+    schemaFile,
+    environments,
+    ...rest
+  } = omitSecrets(plugin);
+  const defaultVersion = getPlugin(plugin.slug)?.version;
+  return {
+    ...rest,
+    // Per-environment targets without their secret references
+    ...(environments && {
+      environments: Object.fromEntries(
+        Object.entries(environments).map(([name, target]) => [
+          name,
+          {
+            formId: target.formId,
+            baseUrl: target.baseUrl || null,
+            formVersion: target.formVersion ?? null,
+          },
+        ]),
+      ),
+    }),
+    isDefault: plugin.version === defaultVersion,
+    versions: getPluginVersions(plugin.slug).map(({ version, formVersion }) => ({
+      version,
+      formVersion: formVersion ?? null,
+      isDefault: version === defaultVersion,
+    })),
+    capabilities: getPluginCapabilities(plugin),
+    launchUrl: getLaunchUrl(plugin),
+  };
+}
+
+/**
+ * Build the embed launch URL for a plugin version.
+ * The version parameter is omitted for the default version.
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @returns {string}
+ */
+function getLaunchUrl(plugin) {
+  const params = new URLSearchParams({ plugin: plugin.slug });
+  if (plugin.version !== getPlugin(plugin.slug)?.version) {
+    params.set("version", plugin.version);
+  }
+  return `/chefs-embed-plugin?${params.toString()}`;
+}
+
 /**
  * Get the OIDC configuration for a plugin by slug.
  * Convenience method for token refresh endpoint.
@@ -118,10 +785,11 @@ function getPluginsWithTokenRefresh() {
  * Keycloak configuration from config.js.
  *
  * @param {string} slug - The plugin's slug identifier
+ * @param {string} [version] - Specific version; defaults to the plugin's default version
  * @returns {{ tokenEndpoint: string, clientId: string, buffer: number }|null}
  */
-function getPluginOidcConfig(slug) {
-  const plugin = getPlugin(slug);
+function getPluginOidcConfig(slug, version) {
+  const plugin = getPlugin(slug, version);
   if (!plugin?.tokenRefresh?.oidc) return null;
 
   const buffer = plugin.tokenRefresh.buffer || 60;
@@ -147,10 +815,27 @@ function getPluginOidcConfig(slug) {
 }
 
 module.exports = {
+  PluginRegistryError,
+  registryEvents,
   loadPluginRegistry,
+  reloadPluginSource,
+  watchPluginRegistry,
   getAllPlugins,
+  getAllPluginVersions,
+  getPluginVersions,
   getPlugin,
+  getPluginForPath,
+  getPluginApiKey,
+  getPluginServerHook,
+  importPluginModule,
   getPluginsWhere,
   getPluginsWithTokenRefresh,
+  PLUGIN_CAPABILITIES,
+  getPluginCapabilities,
+  findPlugins,
+  toPublicManifest,
+  getLaunchUrl,
+  compareVersions,
+  pickDefaultVersion,
   getPluginOidcConfig,
 };
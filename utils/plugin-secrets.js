@@ -0,0 +1,121 @@
+/**
+ * Plugin Secrets
+ *
+ * Server-only storage for plugin credentials (CHEFS form API keys).
+ *
+ * Plugin modules are served to the browser, so manifests must not contain
+ * secrets. Instead a manifest references a secret by name (`apiKeyRef`) and
+ * the value is resolved here, in order:
+ * 1. An environment variable with that name
+ * 2. The local secrets file (config.plugins.secretsFile), a flat JSON object
+ *    of { NAME: value } pairs that is never committed or served
+ *
+ * Only names in the CHEFS_API_KEY_ namespace resolve, so a manifest cannot
+ * read other server secrets through apiKeyRef.
+ *
+ * A manifest with a literal apiKey fails validation (see
+ * utils/plugin-manifest.js), so the served module source is never edited.
+ */
+
+const fs = require("fs");
+const config = require("../config");
+const { SECRET_NAME_PATTERN } = require("./plugin-manifest");
+
+// Manifest fields that hold secrets and must never reach the browser
+const SECRET_FIELDS = ["apiKey"];
+
+let fileSecrets = null;
+
+/**
+ * Read the local secrets file. Missing file is not an error.
+ *
+ * @returns {Object} Map of secret name -> value
+ */
+function loadSecretsFile() {
+  const file = config.plugins.secretsFile;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    console.log(`[plugin-secrets] Loaded secrets file: ${file}`);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(
+        `[plugin-secrets] Failed to read secrets file ${file}:`,
+        err.message,
+      );
+    }
+    return {};
+  }
+}
+
+/**
+ * Resolve a secret by name from the environment or the local secrets file.
+ *
+ * @param {string} name - Secret name (e.g. "CHEFS_API_KEY_PWD_APPLICATION")
+ * @returns {string|null} The secret value, or null if not configured or the
+ *   name is outside the plugin secret namespace
+ */
+function resolveSecret(name) {
+  if (!name) return null;
+  if (!SECRET_NAME_PATTERN.test(name)) {
+    console.warn(`[plugin-secrets] Refusing to resolve ${name}: not a plugin secret name`);
+    return null;
+  }
+  if (process.env[name]) return process.env[name];
+
+  if (!fileSecrets) fileSecrets = loadSecretsFile();
+  return fileSecrets[name] || null;
+}
+
+/**
+ * Build a secret getter for one plugin's server hook. It only resolves the
+ * refs the plugin's manifest declares (its apiKeyRef and the per-environment
+ * ones), so a hook cannot read other plugins' keys.
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @returns {(name: string) => string|null} Getter returning null for undeclared names
+ */
+function createPluginSecretGetter(plugin) {
+  const declared = new Set(
+    [
+      plugin.apiKeyRef,
+      ...Object.values(plugin.environments || {}).map((target) => target.apiKeyRef),
+    ].filter(Boolean),
+  );
+  return (name) => {
+    if (!declared.has(name)) {
+      console.warn(
+        `[plugin-secrets] ${plugin.slug} asked for ${name}, which its manifest does not declare`,
+      );
+      return null;
+    }
+    return resolveSecret(name);
+  };
+}
+
+/**
+ * Forget the cached secrets file so it is re-read on next lookup.
+ */
+function reloadSecrets() {
+  fileSecrets = null;
+}
+
+/**
+ * Remove a manifest's secret fields.
+ *
+ * @param {Object} manifest - Plugin manifest
+ * @returns {Object} Copy of the manifest without secret fields
+ */
+function omitSecrets(manifest) {
+  const copy = { ...manifest };
+  SECRET_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  resolveSecret,
+  createPluginSecretGetter,
+  reloadSecrets,
+  omitSecrets,
+};
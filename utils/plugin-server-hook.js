@@ -0,0 +1,86 @@
+/**
+ * Plugin Server Hook
+ *
+ * Runs a plugin's optional `serverRegister` hook (exported by its server-only
+ * `*.server.js` module, see utils/plugin-registry.js) before the embed page
+ * is rendered. The hook sees the full Express request, the session user and the
+ * decoded tokens, so it can compute hostData or attribute overrides from
+ * server-only sources (databases, internal APIs, secrets) instead of
+ * hard-coding them in the public manifest.
+ *
+ * A hook returns (or resolves to):
+ *   { hostData?: Object, config?: Object }
+ *
+ * `config` may only contain embed attribute keys (see EMBED_ATTRIBUTES);
+ * anything else is dropped with a warning. The browser merges the result
+ * into what register() returns: `config` keys replace the plugin's values
+ * and `hostData` is shallow-merged over the plugin's hostData.
+ */
+
+const { EMBED_ATTRIBUTES } = require("./plugin-manifest");
+const { getPluginServerHook } = require("./plugin-registry");
+const { createPluginSecretGetter } = require("./plugin-secrets");
+
+const ATTRIBUTE_KEYS = new Set(EMBED_ATTRIBUTES.map(({ key }) => key));
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Normalise a hook result to { hostData, config }.
+ *
+ * @param {string} slug - Plugin slug (for log messages)
+ * @param {*} result - Value returned by the hook
+ * @returns {{ hostData: Object|null, config: Object }}
+ */
+function normaliseResult(slug, result) {
+  if (result == null) return { hostData: null, config: {} };
+  if (!isPlainObject(result)) {
+    throw new Error(`serverRegister for "${slug}" must return an object`);
+  }
+
+  const config = {};
+  for (const [key, value] of Object.entries(result.config || {})) {
+    if (ATTRIBUTE_KEYS.has(key)) {
+      config[key] = value;
+    } else {
+      console.warn(
+        `[plugin-server-hook] ${slug}: ignoring unknown config key "${key}"`,
+      );
+    }
+  }
+
+  if (result.hostData !== undefined && !isPlainObject(result.hostData)) {
+    throw new Error(`serverRegister for "${slug}" returned non-object hostData`);
+  }
+
+  return { hostData: result.hostData || null, config };
+}
+
+/**
+ * Run a plugin's server-side register hook.
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @param {Object} context
+ * @param {import("express").Request} context.req - The incoming request
+ * @param {Object} context.user - The session user
+ * @param {Object|null} context.decodedTokens - Result of decodeUserTokens
+ * @returns {Promise<{ hostData: Object|null, config: Object }|null>} Null if the plugin has no hook
+ */
+async function runServerHook(plugin, { req, user, decodedTokens }) {
+  const hook = getPluginServerHook(plugin.slug, plugin.version);
+  if (!hook) return null;
+
+  const result = await hook({
+    req,
+    user,
+    decodedTokens,
+    plugin,
+    // Only the secrets the plugin's own manifest references
+    getSecret: createPluginSecretGetter(plugin),
+  });
+  return normaliseResult(plugin.slug, result);
+}
+
+module.exports = { runServerHook };
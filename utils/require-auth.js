@@ -0,0 +1,128 @@
+/**
+ * Authentication Middleware
+ *
+ * Both middlewares require a signed-in user with a verified access token.
+ * An expired (or almost expired) access token is refreshed server-side with
+ * the session's refresh token first (see utils/oidc-refresh.js), so pages
+ * never render with stale token claims and embeds that stay open past the
+ * access-token lifetime keep working.
+ *
+ *   requireAuth     pages: redirect to login, or render the session error page
+ *   requireApiAuth  JSON endpoints: answer 401 / 503 with { error }
+ */
+const config = require("../config");
+const {
+  getHostOidcConfig,
+  expiresSoon,
+  refreshSessionTokens,
+} = require("./oidc-refresh");
+
+/**
+ * Make sure the request has a verified, unexpired access token, refreshing
+ * it if needed. Updates req.verifiedTokens and req.tokenErrors.
+ *
+ * @param {Object} req - Express request for an authenticated session
+ * @returns {Promise<{ error: Error|null, signIn: boolean, unavailable: boolean }|null>}
+ *   Null when the access token is good; otherwise why not, whether the user
+ *   has to sign in again and whether Keycloak was unavailable
+ */
+async function ensureAccessToken(req) {
+  let error = req.tokenErrors?.accessToken;
+  const verified = req.verifiedTokens?.accessToken;
+  if (
+    error?.code === "expired" ||
+    (verified && expiresSoon(verified, config.keycloak.refreshBufferSec))
+  ) {
+    try {
+      const { accessToken, idToken } = await refreshSessionTokens(
+        req,
+        getHostOidcConfig(),
+      );
+      req.verifiedTokens = {
+        ...req.verifiedTokens,
+        accessToken,
+        idToken: idToken || req.verifiedTokens?.idToken || null,
+      };
+      req.tokenErrors = {};
+      return null;
+    } catch (err) {
+      console.warn(
+        `[auth] Server-side token refresh for ${req.user.username} failed (${err.code}): ${err.message}`,
+      );
+      // An almost expired token is still good for this request
+      if (verified) return null;
+      error = err;
+    }
+  }
+  if (!error && verified) {
+    return null;
+  }
+
+  return {
+    error: error || null,
+    // Refresh token expired or revoked (or none)
+    signIn:
+      !error ||
+      ["expired", "refresh_rejected", "no_refresh_token"].includes(error.code),
+    unavailable: ["jwks_unavailable", "unavailable", "invalid_response"].includes(
+      error?.code,
+    ),
+  };
+}
+
+// Middleware to check if user is authenticated with a valid access token.
+const requireAuth = async (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return res.redirect("/auth/login");
+  }
+
+  const problem = await ensureAccessToken(req);
+  if (!problem) {
+    return next();
+  }
+
+  // Start a clean login
+  if (problem.signIn) {
+    return req.logout((err) => {
+      if (err) console.error("Logout error:", err);
+      res.redirect("/auth/login");
+    });
+  }
+  console.warn(
+    `[auth] Rejected session for ${req.user.username}: ${problem.error.message}`,
+  );
+  res.status(problem.unavailable ? 503 : 401).render("session-error", {
+    title: "Session Error",
+    user: req.user,
+    message: problem.unavailable
+      ? "Your session could not be checked with Keycloak. Please try again later."
+      : "Your session token could not be verified. Please log out and sign in again.",
+  });
+};
+
+// Same checks for JSON endpoints, answering with { error } instead of pages.
+const requireApiAuth = async (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return res.status(401).json({ error: "Not authenticated" });
+  }
+
+  const problem = await ensureAccessToken(req);
+  if (!problem) {
+    return next();
+  }
+
+  if (problem.signIn) {
+    return res.status(401).json({ error: "Session expired, please sign in again" });
+  }
+  console.warn(
+    `[auth] Rejected session for ${req.user.username}: ${problem.error.message}`,
+  );
+  if (problem.unavailable) {
+    return res
+      .status(503)
+      .json({ error: "Session could not be checked, please try again later" });
+  }
+  res.status(401).json({ error: "Access token is expired or invalid" });
+};
+
+module.exports = { requireAuth, requireApiAuth };
@@ -0,0 +1,226 @@
+/**
+ * Form Expression Context Check
+ *
+ * CHEFS forms read host-provided values from the Form.io evalContext in
+ * their calculated values, conditionals and custom code:
+ *
+ *   host.*     <- the plugin's hostData
+ *   token.*    <- the plugin's token
+ *   user.*     <- the plugin's user
+ *   headers.*  <- the plugin's headers
+ *
+ * This module finds those references in a form schema and checks them
+ * against what a plugin actually supplies when its register() runs (merged
+ * with its serverRegister result, like the embed page does). References
+ * to a name the expression declares itself (`var token = ...`, function
+ * parameters) and commented-out code are ignored. Values a plugin only adds
+ * at runtime (e.g. in an event handler) are not seen.
+ *
+ * Used by scripts/schema-context.js (npm run schema:context).
+ */
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { importPluginModule } = require("./plugin-registry");
+const { runServerHook } = require("./plugin-server-hook");
+const { flattenComponents } = require("./schema-drift");
+
+// evalContext variable -> plugin config key
+const CONTEXT_KEYS = {
+  host: "hostData",
+  token: "token",
+  user: "user",
+  headers: "headers",
+};
+
+// Component properties holding JavaScript evaluated with the evalContext
+const EXPRESSION_FIELDS = new Set([
+  "calculateValue",
+  "customConditional",
+  "customDefaultValue",
+  "custom",
+  "customAction",
+  "javascript",
+]);
+// Compared as components of their own
+const CHILD_FIELDS = new Set(["components", "columns", "rows"]);
+
+const REFERENCE_PATTERN = new RegExp(
+  `(?<![\\w$.])(${Object.keys(CONTEXT_KEYS).join("|")})(?![\\w$])` +
+    `((?:\\??\\.[A-Za-z_$][\\w$]*|\\??\\.?\\[[^\\]]*\\])*)`,
+  "g",
+);
+const SEGMENT_PATTERN = /\??\.([A-Za-z_$][\w$]*)|\??\.?\[\s*(["'])(.*?)\2\s*\]|\??\.?\[[^\]]*\]/g;
+
+// String literals (kept) or comments (dropped)
+const COMMENT_PATTERN =
+  /("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`(?:\\.|[^`\\])*`)|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g;
+
+function stripComments(code) {
+  return code.replace(COMMENT_PATTERN, (match, literal) => literal || "");
+}
+
+/** Names an expression declares itself and which therefore shadow the context. */
+function declaredNames(code) {
+  const names = new Set();
+  for (const [, name] of code.matchAll(/\b(?:var|let|const)\s+([A-Za-z_$][\w$]*)/g)) {
+    names.add(name);
+  }
+  for (const [, params] of code.matchAll(/function\s*[\w$]*\s*\(([^)]*)\)/g)) {
+    params.split(",").forEach((param) => names.add(param.trim().split(/[\s=]/)[0]));
+  }
+  for (const [, single, list] of code.matchAll(/(?:\b([A-Za-z_$][\w$]*)|\(([^)]*)\))\s*=>/g)) {
+    (single ? [single] : list.split(",")).forEach((param) =>
+      names.add(param.trim().split(/[\s=]/)[0]),
+    );
+  }
+  return names;
+}
+
+/**
+ * Parse the property path after a context variable. Dynamic lookups
+ * (`headers[key]`) end the path; a trailing method call is dropped.
+ */
+function parseSegments(tail, nextChar) {
+  const segments = [];
+  for (const [, name, , quoted] of tail.matchAll(SEGMENT_PATTERN)) {
+    const segment = name ?? quoted;
+    if (segment === undefined) break;
+    segments.push(segment);
+  }
+  if (nextChar === "(" && segments.length > 0) segments.pop();
+  return segments;
+}
+
+/**
+ * Find the evalContext references in one piece of code.
+ *
+ * @param {string} source - A calculated value, conditional or other expression
+ * @returns {Array<string>} References such as "host.config.maxItems" or "headers"
+ */
+function findReferencesInCode(source) {
+  const code = stripComments(source);
+  const declared = declaredNames(code);
+  const references = new Set();
+  for (const match of code.matchAll(REFERENCE_PATTERN)) {
+    const [text, root, tail] = match;
+    if (declared.has(root)) continue;
+    const rest = code.slice(match.index + text.length);
+    // `{ token: ... }` is an object key, not a reference
+    if (!tail && /^\s*:/.test(rest) && !/\?\s*$/.test(code.slice(0, match.index))) {
+      continue;
+    }
+    references.add([root, ...parseSegments(tail, rest[0])].join("."));
+  }
+  return Array.from(references);
+}
+
+/**
+ * Find the evalContext references in a form schema.
+ *
+ * @param {Object} schema - Form.io schema
+ * @returns {Array<{ reference: string, component: string, field: string }>}
+ */
+function findContextReferences(schema) {
+  const found = [];
+  const scan = (value, componentKey, field) => {
+    if (typeof value === "string") {
+      if (EXPRESSION_FIELDS.has(field)) {
+        findReferencesInCode(value).forEach((reference) =>
+          found.push({ reference, component: componentKey, field }),
+        );
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((item) => scan(item, componentKey, field));
+    } else if (value && typeof value === "object") {
+      Object.entries(value).forEach(([key, child]) => {
+        if (!CHILD_FIELDS.has(key)) scan(child, componentKey, key);
+      });
+    }
+  };
+  flattenComponents(schema).forEach((component, key) => scan(component, key, null));
+  return found;
+}
+
+/**
+ * Turn a fixture ({ headers, bearerToken, claims }) into the request
+ * context register() receives (see buildRequestContext in plugin-embed.js).
+ *
+ * @param {Object} fixture
+ * @returns {Object} Request context
+ */
+function buildFixtureRequest({ headers = {}, bearerToken = null, claims = null }) {
+  const token = claims && { header: { alg: "RS256", typ: "JWT" }, payload: claims };
+  return {
+    headers,
+    bearerToken,
+    tokenExpiresAt: claims?.exp || null,
+    decoded: claims ? { accessToken: token, idToken: token } : null,
+  };
+}
+
+/**
+ * Run a plugin's register() (and serverRegister, if any) with a request
+ * context and return the evalContext it would supply.
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @param {Object} request - Request context (see buildFixtureRequest)
+ * @returns {Promise<{ host: any, token: any, user: any, headers: any }>}
+ */
+async function getSuppliedContext(plugin, request) {
+  const { register } = await importPluginModule(plugin);
+  const user = {
+    username: request.decoded?.accessToken?.payload?.preferred_username || "fixture",
+    accessToken: request.bearerToken,
+  };
+  const server = await runServerHook(plugin, {
+    req: { headers: request.headers, user },
+    user,
+    decodedTokens: request.decoded,
+  });
+  const { mergeServerResult } = await import(
+    pathToFileURL(path.join(__dirname, "..", "public", "lib", "plugin-mount.js")).href
+  );
+  const { config = {} } = register({ request, server });
+  const merged = mergeServerResult(config, server);
+
+  return Object.fromEntries(
+    Object.entries(CONTEXT_KEYS).map(([name, key]) => [name, merged[key] ?? null]),
+  );
+}
+
+/**
+ * Whether a reference resolves to a value in the supplied context.
+ * Keys present with an undefined value count as missing: they are dropped
+ * when the config is serialised onto the viewer. HTTP header names are
+ * case-insensitive, so `headers.authorization` matches `Authorization`.
+ *
+ * @param {Object} context - Result of getSuppliedContext
+ * @param {string} reference - e.g. "token.address.postal_code"
+ * @returns {boolean}
+ */
+function isSupplied(context, reference) {
+  const [root, ...segments] = reference.split(".");
+  let value = context[root];
+  segments.forEach((segment, index) => {
+    if (value === null || value === undefined) return;
+    const object = Object(value);
+    if (root === "headers" && index === 0 && !(segment in object)) {
+      const name = Object.keys(object).find(
+        (key) => key.toLowerCase() === segment.toLowerCase(),
+      );
+      value = name === undefined ? undefined : object[name];
+    } else {
+      value = object[segment];
+    }
+  });
+  return value !== undefined && value !== null;
+}
+
+module.exports = {
+  CONTEXT_KEYS,
+  findReferencesInCode,
+  findContextReferences,
+  buildFixtureRequest,
+  getSuppliedContext,
+  isSupplied,
+};
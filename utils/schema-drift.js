@@ -0,0 +1,216 @@
+/**
+ * Form Schema Drift
+ *
+ * Compares the form schema snapshots kept in the repository (form_schemas/,
+ * or a plugin package's `schema` fixture) with the schema the plugin's CHEFS
+ * form is actually serving. Components are matched by key; for each plugin
+ * the diff lists added and removed components, changed properties, changed
+ * validation and changed calculated / conditional logic.
+ *
+ * Used by scripts/schema-drift.js (npm run schema:drift).
+ */
+const fs = require("fs");
+const path = require("path");
+const { getForm, getFormVersion } = require("./chefs-api");
+
+const SCHEMAS_DIR = path.join(__dirname, "..", "form_schemas");
+
+// Component properties holding validation rules
+const VALIDATION_FIELDS = ["validate", "unique"];
+// Component properties holding calculated or conditional logic
+const LOGIC_FIELDS = [
+  "calculateValue",
+  "calculateServer",
+  "allowCalculateOverride",
+  "conditional",
+  "customConditional",
+  "customDefaultValue",
+  "logic",
+];
+// Regenerated by the Form.io builder, or compared as components of their own
+const IGNORED_FIELDS = ["id", "components", "columns", "rows"];
+
+/**
+ * Path of the stored schema snapshot for a plugin.
+ *
+ * @param {Object} plugin - The plugin manifest from the registry
+ * @returns {string|null} Absolute path, or null when the plugin has none
+ */
+function getSnapshotFile(plugin) {
+  if (plugin.schemaFile) return plugin.schemaFile;
+  if (plugin.schemaSnapshot) return path.join(SCHEMAS_DIR, plugin.schemaSnapshot);
+  return null;
+}
+
+/**
+ * Fetch the schema CHEFS serves for a plugin's target: the form version the
+ * target pins with `formVersion`, else the latest published version.
+ *
+ * @param {Object} target - The plugin's CHEFS target (see getPluginTarget)
+ * @returns {Promise<{ version: number, schema: Object }>}
+ * @throws {Error} If the pinned form version does not exist
+ */
+async function fetchLiveSchema(target) {
+  const { versions } = await getForm(target);
+  const version = target.formVersion
+    ? versions.find((candidate) => candidate.version === target.formVersion)
+    : versions.find((candidate) => candidate.published);
+  if (!version) {
+    throw new Error(
+      target.formVersion
+        ? `Form version ${target.formVersion} not found on ${target.baseUrl}`
+        : `Form has no published version on ${target.baseUrl}`,
+    );
+  }
+
+  const { schema } = await getFormVersion(target, version.id);
+  return { version: version.version, schema };
+}
+
+/**
+ * Index a schema's components by key, including nested layout children
+ * (panels, columns, tables). The first component wins for duplicate keys.
+ *
+ * @param {Object} schema - Form.io schema
+ * @returns {Map<string, Object>}
+ */
+function flattenComponents(schema) {
+  const byKey = new Map();
+  const visit = (components) => {
+    (components || []).forEach((component) => {
+      if (!component || typeof component !== "object") return;
+      if (component.key && !byKey.has(component.key)) {
+        byKey.set(component.key, component);
+      }
+      visit(component.components);
+      (component.columns || []).forEach((column) => visit(column?.components));
+      // Table rows; textareas use a numeric `rows` for their height
+      if (Array.isArray(component.rows)) {
+        component.rows.forEach((row) =>
+          (row || []).forEach((cell) => visit(cell?.components)),
+        );
+      }
+    });
+  };
+  visit(schema?.components);
+  return byKey;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Leaf-level differences between two values.
+ *
+ * @returns {Array<{ path: string, before: any, after: any }>}
+ */
+function diffValues(before, after, valuePath) {
+  const isObject = (value) =>
+    value && typeof value === "object" && !Array.isArray(value);
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(keys)
+      .sort()
+      .flatMap((key) => diffValues(before[key], after[key], `${valuePath}.${key}`));
+  }
+  return stableStringify(before) === stableStringify(after)
+    ? []
+    : [{ path: valuePath, before, after }];
+}
+
+function diffFields(before, after, fields) {
+  return fields.flatMap((field) => diffValues(before[field], after[field], field));
+}
+
+/**
+ * Compare a stored schema with the live one.
+ *
+ * @param {Object} snapshot - Stored Form.io schema
+ * @param {Object} live - Schema served by CHEFS
+ * @returns {{
+ *   added: Array<{ key: string, type: string }>,
+ *   removed: Array<{ key: string, type: string }>,
+ *   changed: Array<{ key: string, changes: Array<Object> }>,
+ *   validation: Array<{ key: string, changes: Array<Object> }>,
+ *   logic: Array<{ key: string, changes: Array<Object> }>
+ * }}
+ */
+function diffSchemas(snapshot, live) {
+  const before = flattenComponents(snapshot);
+  const after = flattenComponents(live);
+  const diff = { added: [], removed: [], changed: [], validation: [], logic: [] };
+
+  after.forEach((component, key) => {
+    if (!before.has(key)) diff.added.push({ key, type: component.type });
+  });
+  before.forEach((component, key) => {
+    if (!after.has(key)) {
+      diff.removed.push({ key, type: component.type });
+      return;
+    }
+    const current = after.get(key);
+    const otherFields = Array.from(
+      new Set([...Object.keys(component), ...Object.keys(current)]),
+    ).filter(
+      (field) =>
+        !IGNORED_FIELDS.includes(field) &&
+        !VALIDATION_FIELDS.includes(field) &&
+        !LOGIC_FIELDS.includes(field),
+    );
+
+    [
+      ["changed", otherFields],
+      ["validation", VALIDATION_FIELDS],
+      ["logic", LOGIC_FIELDS],
+    ].forEach(([category, fields]) => {
+      const changes = diffFields(component, current, fields);
+      if (changes.length) diff[category].push({ key, changes });
+    });
+  });
+
+  return diff;
+}
+
+/**
+ * Whether a diff found any drift.
+ *
+ * @param {ReturnType<typeof diffSchemas>} diff
+ * @returns {boolean}
+ */
+function hasDrift(diff) {
+  return Object.values(diff).some((entries) => entries.length > 0);
+}
+
+/**
+ * Overwrite a snapshot with the live schema (compact, like CHEFS exports).
+ *
+ * @param {string} file - Snapshot path
+ * @param {Object} schema - Live schema
+ */
+function writeSnapshot(file, schema) {
+  fs.writeFileSync(file, JSON.stringify(schema));
+}
+
+function readSnapshot(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = {
+  getSnapshotFile,
+  readSnapshot,
+  writeSnapshot,
+  fetchLiveSchema,
+  flattenComponents,
+  diffSchemas,
+  hasDrift,
+};
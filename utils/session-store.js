@@ -0,0 +1,320 @@
+/**
+ * Session Store
+ *
+ * express-session store selected by `session.store`:
+ *
+ *   file    (default) one JSON file per session in `session.dir`; sessions
+ *           survive restarts, and several instances can share the directory
+ *   memory  express-session's MemoryStore (lost on restart, never pruned)
+ *
+ * The file store encrypts the OIDC tokens on the session user (passport's
+ * `accessToken`, `refreshToken` and `idToken`) with AES-256-GCM before they
+ * are written, using `session.encryptionKey` (or a key derived from the
+ * session secret when none is set). A session whose tokens no longer
+ * decrypt (the key changed) is treated as logged out.
+ *
+ * Expired sessions are removed when read and by a sweep every
+ * `session.cleanupIntervalMs`.
+ *
+ * Only set() writes session data. touch() (called by express-session on
+ * every unmodified request) moves the expiry by setting the file's
+ * modification time, so it can never write back tokens that a concurrent
+ * refresh has just replaced.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const session = require("express-session");
+
+// Session user fields holding raw OIDC tokens
+const TOKEN_FIELDS = ["accessToken", "refreshToken", "idToken"];
+const ENCRYPTED_PREFIX = "enc:v1:";
+
+/**
+ * The 32-byte AES key: `encryptionKey` as base64 or hex, else derived from
+ * the session secret.
+ *
+ * @param {Object} options
+ * @param {string|null} options.encryptionKey
+ * @param {string} options.secret - Session secret
+ * @returns {Buffer}
+ */
+function resolveEncryptionKey({ encryptionKey, secret }) {
+  if (encryptionKey) {
+    const key = /^[0-9a-f]{64}$/i.test(encryptionKey)
+      ? Buffer.from(encryptionKey, "hex")
+      : Buffer.from(encryptionKey, "base64");
+    if (key.length !== 32) {
+      throw new Error("SESSION_ENCRYPTION_KEY must be 32 bytes (base64 or hex)");
+    }
+    return key;
+  }
+  return Buffer.from(
+    crypto.hkdfSync("sha256", secret, "chefs-embed", "session-token-encryption", 32),
+  );
+}
+
+function encrypt(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+  return (
+    ENCRYPTED_PREFIX +
+    [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64url")).join(".")
+  );
+}
+
+function decrypt(key, value) {
+  const [iv, tag, ciphertext] = value
+    .slice(ENCRYPTED_PREFIX.length)
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+}
+
+/**
+ * Copy of a session with each of the passport user's tokens passed
+ * through `transform`.
+ *
+ * @param {Object} sess - Session data
+ * @param {Function} transform - (token) => token
+ * @returns {Object}
+ */
+function mapTokens(sess, transform) {
+  const user = sess?.passport?.user;
+  if (!user || typeof user !== "object") return sess;
+
+  const copy = { ...user };
+  TOKEN_FIELDS.forEach((field) => {
+    if (typeof copy[field] === "string") copy[field] = transform(copy[field]);
+  });
+  return { ...sess, passport: { ...sess.passport, user: copy } };
+}
+
+/**
+ * File-backed express-session store. Writes go to a temporary file that is
+ * renamed into place, so a reader (or another instance) never sees half a
+ * session.
+ */
+class FileSessionStore extends session.Store {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory for session files
+   * @param {Buffer} options.key - AES-256 key for the stored tokens
+   * @param {number} options.ttlMs - Lifetime of sessions without a cookie expiry
+   * @param {number} options.cleanupIntervalMs - How often expired files are swept (0 disables)
+   */
+  constructor({ dir, key, ttlMs, cleanupIntervalMs }) {
+    super();
+    this.dir = dir;
+    this.key = key;
+    this.ttlMs = ttlMs;
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+    if (cleanupIntervalMs > 0) {
+      this.cleanupTimer = setInterval(() => {
+        this.prune().catch((err) =>
+          console.error("[session-store] Cleanup failed:", err.message),
+        );
+      }, cleanupIntervalMs);
+      // Do not keep the process alive just for the sweep
+      this.cleanupTimer.unref();
+    }
+  }
+
+  // Session ids come from the cookie; hash them so they never form a path
+  fileFor(sid) {
+    const name = crypto.createHash("sha256").update(String(sid)).digest("hex");
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  expiresAt(sess) {
+    const expires = sess?.cookie?.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + this.ttlMs;
+  }
+
+  async read(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async write(file, record) {
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(record), { mode: 0o600 });
+    await fs.promises.rename(temp, file);
+  }
+
+  async remove(file) {
+    await fs.promises.rm(file, { force: true });
+  }
+
+  // The later of the expiry set() stored and the file's modification time,
+  // which touch() moves forward
+  async expiryOf(file, record) {
+    const { mtimeMs } = await fs.promises.stat(file).catch(() => ({ mtimeMs: 0 }));
+    return Math.max(record.expiresAt || 0, mtimeMs);
+  }
+
+  // The live session in a record, or null (expired and undecryptable ones are removed)
+  async load(file, record) {
+    if (!record) return null;
+    if ((await this.expiryOf(file, record)) <= Date.now()) {
+      await this.remove(file);
+      return null;
+    }
+    try {
+      return mapTokens(record.session, (token) =>
+        token.startsWith(ENCRYPTED_PREFIX) ? decrypt(this.key, token) : token,
+      );
+    } catch (err) {
+      console.warn(
+        `[session-store] Dropping session whose tokens do not decrypt: ${err.message}`,
+      );
+      await this.remove(file);
+      return null;
+    }
+  }
+
+  get(sid, callback) {
+    const file = this.fileFor(sid);
+    this.read(file)
+      .then((record) => this.load(file, record))
+      .then((sess) => callback(null, sess), callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    const record = {
+      // Kept so all() can name the session (file names are hashed)
+      sid,
+      expiresAt: this.expiresAt(sess),
+      session: mapTokens(sess, (token) => encrypt(this.key, token)),
+    };
+    this.write(this.fileFor(sid), record).then(() => callback(null), callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    const expiresAt = new Date(this.expiresAt(sess));
+    fs.promises
+      .utimes(this.fileFor(sid), new Date(), expiresAt)
+      .catch((err) => {
+        // Destroyed in the meantime: nothing to extend
+        if (err.code !== "ENOENT") throw err;
+      })
+      .then(() => callback(null), callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.remove(this.fileFor(sid)).then(() => callback(null), callback);
+  }
+
+  length(callback) {
+    this.sessionFiles().then((files) => callback(null, files.length), callback);
+  }
+
+  /**
+   * Every live session, keyed by session id. Sessions written before ids
+   * were recorded are left out until they are next saved.
+   */
+  all(callback) {
+    this.sessionFiles()
+      .then(async (files) => {
+        const sessions = {};
+        for (const file of files) {
+          const record = await this.read(file).catch(() => null);
+          const sess = await this.load(file, record);
+          if (sess && record.sid) sessions[record.sid] = sess;
+        }
+        return sessions;
+      })
+      .then((sessions) => callback(null, sessions), callback);
+  }
+
+  clear(callback = () => {}) {
+    this.sessionFiles()
+      .then((files) => Promise.all(files.map((file) => this.remove(file))))
+      .then(() => callback(null), callback);
+  }
+
+  async sessionFiles() {
+    const names = await fs.promises.readdir(this.dir);
+    return names
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => path.join(this.dir, name));
+  }
+
+  /**
+   * Delete expired and unreadable session files, and temporary files left
+   * by an interrupted write.
+   *
+   * @returns {Promise<number>} Number of files removed
+   */
+  async prune() {
+    const now = Date.now();
+    let removed = 0;
+    const names = await fs.promises.readdir(this.dir);
+    for (const name of names) {
+      const file = path.join(this.dir, name);
+      let expired;
+      if (name.endsWith(".tmp")) {
+        const { mtimeMs } = await fs.promises.stat(file).catch(() => ({ mtimeMs: now }));
+        expired = now - mtimeMs > 60 * 1000;
+      } else if (name.endsWith(".json")) {
+        const record = await this.read(file).catch(() => null);
+        expired = !record || (await this.expiryOf(file, record)) <= now;
+      }
+      if (expired) {
+        await this.remove(file);
+        removed += 1;
+      }
+    }
+    if (removed > 0) {
+      console.log(`[session-store] Removed ${removed} expired session file(s)`);
+    }
+    return removed;
+  }
+
+  close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+/**
+ * Create the store configured in `config.session`.
+ *
+ * @param {Object} options - config.session plus the session secret
+ * @param {string} options.store - "file" or "memory"
+ * @param {string} options.dir
+ * @param {string|null} options.encryptionKey
+ * @param {string} options.secret
+ * @param {number} options.ttlMs
+ * @param {number} options.cleanupIntervalMs
+ * @returns {session.Store}
+ * @throws {Error} For an unknown store type or an invalid encryption key
+ */
+function createSessionStore({ store, dir, encryptionKey, secret, ttlMs, cleanupIntervalMs }) {
+  if (store === "memory") {
+    return new session.MemoryStore();
+  }
+  if (store !== "file") {
+    throw new Error(`Unknown SESSION_STORE "${store}" (expected "file" or "memory")`);
+  }
+  if (!encryptionKey) {
+    console.warn(
+      "[session-store] SESSION_ENCRYPTION_KEY is not set; deriving the token encryption key from SESSION_SECRET",
+    );
+  }
+  return new FileSessionStore({
+    dir,
+    key: resolveEncryptionKey({ encryptionKey, secret }),
+    ttlMs,
+    cleanupIntervalMs,
+  });
+}
+
+module.exports = { createSessionStore, FileSessionStore, resolveEncryptionKey };